@@ -0,0 +1,463 @@
+#!/usr/bin/env node
+/**
+ * Command line interface for the Ingress Inventory Viewer
+ * Runs the same processing as the web app over an export, without a browser.
+ *
+ * Usage:
+ *   node cli/ingress-inventory.js <command> <inventory.json> [options]
+ *
+ * Commands:
+ *   summary   Item counts per type section
+ *   keys      Portal keys with counts, addresses and where they are stored
+ *   export    Every displayed group, as in the web app's CSV/TSV export
+ *
+ * Options:
+ *   --format text|json|csv|tsv   Output format (summary/keys: text, export: csv);
+ *                                keys also writes IITC bookmarks, bookmarks-capsule or drawtools
+ *   --rarity VERY_RARE           Only items of one rarity
+ *   --type Mods,Weapons          Only these type sections
+ *   --subtype RES_SHIELD         Only these item types (narrows their section)
+ *   --min-level 7 --max-level 8  Only items in a level range
+ *   --level 7,8                  Same, as a list (kept for older scripts): lowest to highest level given
+ *   --query "type:keys"          Search query, same syntax as the search box
+ *   --sort alpha|count|time|distance
+ *   --desc                       Reverse the key sort
+ *   --near LAT,LON               Origin for distance sorting and dist: queries
+ *   --hide-capsuled              Hide groups that are only in capsules
+ *   --output FILE                Write to a file instead of stdout
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CONSTANTS = require('../js/constants');
+const UTILS = require('../js/utils');
+const QUERY = require('../js/query');
+const DATA = require('../js/data');
+const EXPORT = require('../js/export');
+const IITC = require('../js/iitc');
+
+const USAGE = `Usage: node cli/ingress-inventory.js <summary|keys|export> <inventory.json> [options]
+
+Options:
+  --format text|json|csv|tsv   Output format (summary/keys: text, export: csv)
+                               keys also: bookmarks, bookmarks-capsule, drawtools (IITC)
+  --rarity RARITY              Only items of one rarity, e.g. VERY_RARE
+  --type TYPES                 Only these type sections, e.g. Mods,Weapons
+  --subtype TYPES              Only these item types, e.g. RES_SHIELD,HEATSINK
+  --min-level LEVEL            Only items of at least this level
+  --max-level LEVEL            Only items of at most this level
+  --level LEVELS               Range from the lowest to the highest level listed, e.g. 7,8
+  --query QUERY                Search query, e.g. "type:keys count:>2"
+  --sort alpha|count|time|distance
+  --desc                       Reverse the key sort
+  --near LAT,LON               Origin for distance sorting and dist: queries
+  --hide-capsuled              Hide groups that are only in capsules
+  --output FILE                Write to a file instead of stdout`;
+
+// Formats each command accepts, default first
+const COMMAND_FORMATS = {
+  summary: ['text', 'json'],
+  keys: ['text', 'json', 'csv', 'tsv', 'bookmarks', 'bookmarks-capsule', 'drawtools'],
+  export: ['csv', 'tsv', 'json']
+};
+
+const SORT_MODES = ['alpha', 'count', 'time', 'distance'];
+
+/**
+ * Parses command line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} {success: boolean, args?: Object, error?: string}
+ */
+function parseArgs(argv) {
+  const args = {
+    command: null,
+    file: null,
+    format: null,
+    rarity: '',
+    types: [],
+    subTypes: [],
+    minLevel: null,
+    maxLevel: null,
+    query: '',
+    sort: 'alpha',
+    desc: false,
+    near: null,
+    hideCapsuled: false,
+    output: null
+  };
+
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // Flags without values
+    if (arg === '--desc') {
+      args.desc = true;
+      continue;
+    }
+    if (arg === '--hide-capsuled') {
+      args.hideCapsuled = true;
+      continue;
+    }
+    if (arg === '--help' || arg === '-h') {
+      return { success: false, error: null };
+    }
+
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    // Options with values, as "--name value" or "--name=value"
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined) {
+      return { success: false, error: `Missing value for --${name}` };
+    }
+
+    switch (name) {
+      case 'format':
+        args.format = value.toLowerCase();
+        break;
+      case 'rarity':
+        args.rarity = value.toUpperCase();
+        break;
+      case 'type':
+        args.types = value.split(',').map(type => type.trim()).filter(Boolean);
+        break;
+      case 'subtype':
+        args.subTypes = value.split(',').map(subType => subType.trim().toUpperCase()).filter(Boolean);
+        break;
+      case 'min-level':
+      case 'max-level': {
+        const level = Number(value);
+        if (!Number.isInteger(level) || level < 1 || level > CONSTANTS.ITEM_TYPES.MAX_LEVEL) {
+          return { success: false, error: `Invalid level "${value}" (use 1-${CONSTANTS.ITEM_TYPES.MAX_LEVEL})` };
+        }
+        args[name === 'min-level' ? 'minLevel' : 'maxLevel'] = level;
+        break;
+      }
+      case 'level': {
+        const levels = value.split(',').map(Number);
+        if (levels.some(level => !Number.isInteger(level) || level < 1 || level > CONSTANTS.ITEM_TYPES.MAX_LEVEL)) {
+          return { success: false, error: `Invalid level list "${value}" (use e.g. 7,8)` };
+        }
+        args.minLevel = Math.min(...levels);
+        args.maxLevel = Math.max(...levels);
+        break;
+      }
+      case 'query':
+        args.query = value;
+        break;
+      case 'sort':
+        if (!SORT_MODES.includes(value)) {
+          return { success: false, error: `Unknown sort mode "${value}" (use ${SORT_MODES.join(', ')})` };
+        }
+        args.sort = value;
+        break;
+      case 'near': {
+        const [lat, lon] = value.split(',').map(Number);
+        if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+          return { success: false, error: `Invalid location "${value}" (use LAT,LON)` };
+        }
+        args.near = { lat, lon };
+        break;
+      }
+      case 'output':
+        args.output = value;
+        break;
+      default:
+        return { success: false, error: `Unknown option --${name}` };
+    }
+  }
+
+  [args.command, args.file] = positional;
+
+  if (!args.command || !args.file || positional.length > 2) {
+    return { success: false, error: null };
+  }
+
+  const formats = COMMAND_FORMATS[args.command];
+  if (!formats) {
+    return { success: false, error: `Unknown command "${args.command}"` };
+  }
+
+  args.format = args.format || formats[0];
+  if (!formats.includes(args.format)) {
+    return { success: false, error: `${args.command} can't output ${args.format} (use ${formats.join(', ')})` };
+  }
+
+  if (args.sort === 'distance' && !args.near) {
+    return { success: false, error: '--sort distance needs --near LAT,LON' };
+  }
+
+  return { success: true, args };
+}
+
+/**
+ * Reads and processes an inventory export
+ * @param {string} file - Path to the export
+ * @returns {Object} {success: boolean, processedData?: Object, error?: string}
+ */
+function loadInventory(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    return { success: false, error: `Failed to read file: ${error.message}` };
+  }
+
+  const parseResult = DATA.parseInventoryText(text);
+  if (!parseResult.success) {
+    return parseResult;
+  }
+
+  return { success: true, processedData: DATA.processInventoryData(parseResult.data) };
+}
+
+/**
+ * Filters, groups and sorts items like the web app's inventory view
+ * @param {Object} processedData - Result of DATA.processInventoryData
+ * @param {Object} args - Parsed arguments
+ * @returns {Object} {success: boolean, sections?: Array, error?: string}
+ */
+function buildSections(processedData, args) {
+  const parsed = QUERY.parseQuery(args.query);
+  if (!parsed.success) {
+    return { success: false, error: `Invalid query: ${parsed.error}` };
+  }
+
+  const filters = {
+    rarity: args.rarity,
+    types: args.types,
+    subTypes: args.subTypes,
+    minLevel: args.minLevel,
+    maxLevel: args.maxLevel,
+    hideCapsuled: args.hideCapsuled,
+    query: parsed.query,
+    userLocation: args.near
+  };
+
+  const direction = args.desc ? 'desc' : 'asc';
+  const sortConfig = {
+    mode: args.sort,
+    directions: { alpha: direction, count: direction, time: direction, distance: direction }
+  };
+
+  const filteredItems = DATA.filterItems(processedData.expanded, filters);
+
+  return {
+    success: true,
+    sections: DATA.selectVisibleSections(DATA.groupItems(filteredItems), {
+      filters,
+      sortConfig,
+      userLocation: args.near
+    })
+  };
+}
+
+/**
+ * Converts export rows (header first) to objects keyed by column name
+ * @param {Array<Array>} rows - Rows from EXPORT.buildExportRows
+ * @returns {Array<Object>} One object per data row
+ */
+function rowsToObjects(rows) {
+  const [header, ...dataRows] = rows;
+  return dataRows.map(row => Object.fromEntries(header.map((column, i) => [column, row[i]])));
+}
+
+/**
+ * Pads table cells so columns line up
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} Aligned text
+ */
+function formatTable(rows) {
+  const widths = [];
+  for (const row of rows) {
+    row.forEach((cell, i) => {
+      widths[i] = Math.max(widths[i] || 0, String(cell).length);
+    });
+  }
+
+  return rows
+    .map(row => row.map((cell, i) => String(cell).padEnd(widths[i])).join('  ').trimEnd())
+    .join('\n') + '\n';
+}
+
+/**
+ * Produces the summary command output
+ * @param {string} file - Export path
+ * @param {Object} processedData - Processed inventory
+ * @param {Array} sections - Visible sections
+ * @param {string} format - 'text' | 'json'
+ * @returns {string} Output text
+ */
+function runSummary(file, processedData, sections, format) {
+  const summary = {
+    file: path.basename(file),
+    totalCount: processedData.totalCount,
+    sections: sections.map(({ displayType, entries, totalCount }) => ({
+      displayType,
+      count: totalCount,
+      groups: entries.length
+    }))
+  };
+
+  if (format === 'json') {
+    return JSON.stringify(summary, null, 2) + '\n';
+  }
+
+  // Matches the count pill in the web app (keys in key lockers not counted)
+  const rows = summary.sections.map(({ displayType, count, groups }) =>
+    [displayType, count, `${groups} ${groups === 1 ? 'group' : 'groups'}`]);
+
+  return `${summary.file}: ${summary.totalCount} items\n\n` + formatTable(rows);
+}
+
+/**
+ * Produces the keys command output
+ * @param {Array} sections - Visible sections
+ * @param {Map} containers - Container index
+ * @param {Object} args - Parsed arguments
+ * @returns {string} Output text
+ */
+function runKeys(sections, containers, args) {
+  const keySections = sections.filter(section => section.displayType === 'Keys');
+
+  if (args.format === 'drawtools') {
+    return IITC.buildDrawToolsMarkers(keySections.flatMap(section => section.entries));
+  }
+  if (args.format === 'bookmarks' || args.format === 'bookmarks-capsule') {
+    return IITC.buildBookmarks(keySections.flatMap(section => section.entries), {
+      folders: args.format === 'bookmarks-capsule' ? 'capsule' : 'single',
+      folderName: args.query || `Keys: ${path.basename(args.file, '.json')}`,
+      containers
+    });
+  }
+
+  const rows = EXPORT.buildExportRows(keySections, containers);
+
+  if (args.format === 'csv' || args.format === 'tsv') {
+    return EXPORT.toDelimited(rows, args.format);
+  }
+
+  const keys = rowsToObjects(rows).map(row => {
+    const key = {
+      title: row['Title'],
+      address: row['Portal Address'],
+      count: row['Count'],
+      storage: row['Capsule Location'],
+      lat: row['Latitude'] === '' ? null : Number(row['Latitude']),
+      lon: row['Longitude'] === '' ? null : Number(row['Longitude']),
+      lastAcquired: row['Last Acquired'] || null
+    };
+
+    if (args.near) {
+      key.distanceKm = key.lat === null ? null :
+                       UTILS.haversineKm(args.near.lat, args.near.lon, key.lat, key.lon);
+    }
+
+    return key;
+  });
+
+  if (args.format === 'json') {
+    return JSON.stringify(keys, null, 2) + '\n';
+  }
+
+  if (keys.length === 0) {
+    return 'No keys match.\n';
+  }
+
+  const header = ['Count', 'Portal', 'Address', 'Stored'];
+  if (args.near) header.push('Distance');
+
+  return formatTable([header, ...keys.map(key => {
+    const cells = [key.count, key.title, key.address, key.storage];
+    if (args.near) {
+      cells.push(key.distanceKm === null ? '' : `${key.distanceKm.toFixed(2)}km`);
+    }
+    return cells;
+  })]);
+}
+
+/**
+ * Produces the export command output
+ * @param {Array} sections - Visible sections
+ * @param {Map} containers - Container index
+ * @param {string} format - 'csv' | 'tsv' | 'json'
+ * @returns {string} Output text
+ */
+function runExport(sections, containers, format) {
+  const rows = EXPORT.buildExportRows(sections, containers);
+
+  if (format === 'json') {
+    return JSON.stringify(rowsToObjects(rows), null, 2) + '\n';
+  }
+
+  return EXPORT.toDelimited(rows, format);
+}
+
+/**
+ * Runs the CLI
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {number} Exit code
+ */
+function main(argv) {
+  const parsed = parseArgs(argv);
+  if (!parsed.success) {
+    if (parsed.error) {
+      process.stderr.write(`ingress-inventory: ${parsed.error}\n\n`);
+    }
+    process.stderr.write(USAGE + '\n');
+    return 2;
+  }
+
+  const { args } = parsed;
+
+  const loaded = loadInventory(args.file);
+  if (!loaded.success) {
+    process.stderr.write(`ingress-inventory: ${args.file}: ${loaded.error}\n`);
+    return 1;
+  }
+
+  const built = buildSections(loaded.processedData, args);
+  if (!built.success) {
+    process.stderr.write(`ingress-inventory: ${built.error}\n`);
+    return 1;
+  }
+
+  const containers = DATA.buildContainerIndex(loaded.processedData.expanded);
+
+  let output;
+  switch (args.command) {
+    case 'summary':
+      output = runSummary(args.file, loaded.processedData, built.sections, args.format);
+      break;
+    case 'keys':
+      output = runKeys(built.sections, containers, args);
+      break;
+    default:
+      output = runExport(built.sections, containers, args.format);
+  }
+
+  if (args.output) {
+    try {
+      fs.writeFileSync(args.output, output);
+    } catch (error) {
+      process.stderr.write(`ingress-inventory: Failed to write ${args.output}: ${error.message}\n`);
+      return 1;
+    }
+  } else {
+    process.stdout.write(output);
+  }
+
+  return 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { main, parseArgs };
@@ -8,12 +8,61 @@ let appState = {
   rawData: null,
   processedData: null,
   fileInfo: null,
+
+  // Where key distances are measured from: the chosen reference point, else the GPS position
   userLocation: null,
+  gpsLocation: null,
+
+  // Reference point {name, lat, lon} in use (null for GPS), saved points, and the last entry error
+  referencePoint: null,
+  referencePoints: [],
+  locationError: '',
+
+  // Every loaded export, oldest first; rawData/processedData mirror the active one
+  snapshots: [],
+  activeSnapshotId: null,
+
+  // Active view and the snapshots compared in the diff view
+  view: 'inventory', // 'inventory' | 'dashboard' | 'diff' | 'map' | 'levels' | 'timeline' | 'recycle' | 'loadout' | 'team' | 'coverage' | 'containers'
+  diffSelection: { baseId: null, targetId: null },
+
+  // Key map position (null fits all keys) and optional tile server
+  mapView: null,
+  mapTileUrl: '',
+
+  // Container opened in the containers view (null lists all of them)
+  selectedContainerId: null,
+
+  // Search box text, its parsed query (null when empty) and parse error
+  searchQuery: '',
+  searchFilter: null,
+  searchError: '',
+
+  // Capacity warning levels, percent of inventory and container capacity
+  warningThresholds: {
+    inventoryPercent: CONSTANTS.WARNING_CONFIG.INVENTORY_PERCENT,
+    containerPercent: CONSTANTS.WARNING_CONFIG.CONTAINER_PERCENT
+  },
 
-  // UI state
-  keySearchQuery: '',
-  keySearchShouldRefocus: false,
-  keySearchSelection: null,
+  // Recycle planner: quantity to keep per group (see DATA.planRecycling)
+  recycleTargets: {},
+
+  // Loadout templates [{name, lines: [{label, query, quantity}]}], the one shown, and the last import error
+  loadoutTemplates: [],
+  activeLoadout: 0,
+  loadoutError: '',
+
+  // Team view: portal title or address to list key holders for
+  teamPortalQuery: '',
+
+  // Timeline view: histogram bin size and the age in days after which a portal's keys are stale (null for none)
+  timelineSettings: { bin: CONSTANTS.TIMELINE_CONFIG.DEFAULT_BIN, staleDays: null },
+
+  // Coverage view: pasted list of target portals
+  coverageText: '',
+
+  // Type filter menu: display types and raw sub-types (empty means all), level range (null means no limit)
+  typeFilter: { types: [], subTypes: [], minLevel: null, maxLevel: null },
 
   // Sort configuration for keys
   sortConfig: {
@@ -30,6 +79,12 @@ let appState = {
 // DOM element references (cached for performance)
 const elements = {};
 
+// Sequence for snapshot IDs (file name + date is not unique enough)
+let snapshotSequence = 0;
+
+// Batch of files currently loading, {cancel: Function(reason)} (null when idle)
+let activeLoad = null;
+
 /**
  * Initializes the application
  */
@@ -37,14 +92,36 @@ function initializeApp() {
   // Cache DOM elements
   cacheElements();
 
+  // Tile server for the key map (offline unless configured)
+  appState.mapTileUrl = STORAGE.getPreference('mapTileUrl', CONSTANTS.MAP_CONFIG.TILE_URL);
+  appState.warningThresholds = {
+    ...appState.warningThresholds,
+    ...STORAGE.getPreference('warningThresholds', {})
+  };
+  appState.recycleTargets = STORAGE.getPreference('recycleTargets', {});
+  appState.timelineSettings = readTimelineSettings(STORAGE.getPreference('timelineSettings', {}));
+  const savedPoints = STORAGE.getPreference('referencePoints', []);
+  appState.referencePoints = Array.isArray(savedPoints) ? savedPoints.map(readReferencePoint).filter(Boolean) : [];
+  appState.referencePoint = readReferencePoint(STORAGE.getPreference('referencePoint', null));
+
+  const savedLoadouts = DATA.parseLoadoutTemplates(STORAGE.getPreference('loadoutTemplates', []));
+  appState.loadoutTemplates = savedLoadouts.success ? savedLoadouts.templates : [];
+
   // Set initial UI state
   UI.showUploadInterface();
 
   // Set up event listeners
   setupEventListeners();
 
-  // Initialize geolocation for distance calculations
+  // Restore view, sort, search and filters from a shared link
+  applyUrlState(window.location.hash);
+
+  // Initialize geolocation for distance calculations, unless a reference point was chosen earlier
+  applyReferenceLocation();
   initializeGeolocation();
+
+  // List inventories saved on this device (if the user opted in earlier)
+  refreshSavedSnapshots();
 }
 
 /**
@@ -55,8 +132,13 @@ function cacheElements() {
   elements.uploadBtn = document.getElementById('uploadBtn');
   elements.dragOverlay = document.getElementById('dragOverlay');
   elements.clearBtn = document.getElementById('clear');
+  elements.addFileBtn = document.getElementById('addFile');
+  elements.snapshotSelect = document.getElementById('snapshotSelect');
+  elements.exportFormat = document.getElementById('exportFormat');
   elements.filterRarity = document.getElementById('filterRarity');
   elements.hideCapsuled = document.getElementById('hideCapsuled');
+  elements.searchInput = document.getElementById('search');
+  elements.cancelLoadBtn = document.getElementById('cancelLoad');
 }
 
 /**
@@ -72,6 +154,18 @@ function setupEventListeners() {
     elements.fileInput.addEventListener('change', handleFileUpload);
   }
 
+  if (elements.addFileBtn) {
+    elements.addFileBtn.addEventListener('click', triggerFileUpload);
+  }
+
+  if (elements.snapshotSelect) {
+    elements.snapshotSelect.addEventListener('change', handleSnapshotChange);
+  }
+
+  if (elements.cancelLoadBtn) {
+    elements.cancelLoadBtn.addEventListener('click', () => cancelLoading('user'));
+  }
+
   // Drag and drop events
   setupDragAndDrop();
 
@@ -84,14 +178,40 @@ function setupEventListeners() {
     elements.hideCapsuled.addEventListener('change', handleFilterChange);
   }
 
+  if (elements.exportFormat) {
+    elements.exportFormat.addEventListener('change', handleExport);
+  }
+
+  if (elements.searchInput) {
+    elements.searchInput.addEventListener('input',
+      UTILS.debounce(handleSearchInput, CONSTANTS.UI_CONFIG.SEARCH_DEBOUNCE_MS));
+  }
+
   // Clear data event
   if (elements.clearBtn) {
     elements.clearBtn.addEventListener('click', clearInventoryData);
   }
 
   // Custom events for UI components
-  document.addEventListener('keySearch', handleKeySearch);
   document.addEventListener('sortChange', handleSortChange);
+  document.addEventListener('typeFilterChange', handleTypeFilterChange);
+  document.addEventListener('viewChange', handleViewChange);
+  document.addEventListener('diffSelectionChange', handleDiffSelectionChange);
+  document.addEventListener('storageAction', handleStorageAction);
+  document.addEventListener('mapViewChange', handleMapViewChange);
+  document.addEventListener('mapTileUrlChange', handleMapTileUrlChange);
+  document.addEventListener('containerSelect', handleContainerSelect);
+  document.addEventListener('warningThresholdsChange', handleWarningThresholdsChange);
+  document.addEventListener('recyclePlanAction', handleRecyclePlanAction);
+  document.addEventListener('loadoutAction', handleLoadoutAction);
+  document.addEventListener('teamAction', handleTeamAction);
+  document.addEventListener('coverageTargetsChange', handleCoverageTargetsChange);
+  document.addEventListener('itemDetailOpen', handleItemDetailOpen);
+  document.addEventListener('timelineSettingsChange', handleTimelineSettingsChange);
+  document.addEventListener('locationAction', handleLocationAction);
+
+  // Back/forward between URL states
+  window.addEventListener('popstate', handlePopState);
 }
 
 /**
@@ -129,12 +249,11 @@ function setupDragAndDrop() {
     dragCounter = 0;
     elements.dragOverlay.classList.remove('active');
 
-    const files = e.dataTransfer.files;
+    const files = Array.from(e.dataTransfer.files);
     if (files.length > 0) {
-      const file = files[0];
-      if (file.type === 'application/json' || file.name.endsWith('.json')) {
-        elements.fileInput.files = files;
-        handleFileUpload();
+      const jsonFiles = files.filter(file => file.type === 'application/json' || file.name.endsWith('.json'));
+      if (jsonFiles.length > 0) {
+        loadFiles(jsonFiles);
       } else {
         UI.updateSummary('Please drop a JSON file.');
       }
@@ -153,83 +272,536 @@ function triggerFileUpload() {
  * Handles file upload and processing
  */
 async function handleFileUpload() {
-  const file = elements.fileInput.files[0];
-  if (!file) {
+  await loadFiles(Array.from(elements.fileInput.files || []));
+
+  // Clear the file input
+  elements.fileInput.value = '';
+}
+
+/**
+ * Loads one or more inventory files as snapshots and shows the newest
+ * @param {Array<File>} files - Files to load
+ */
+async function loadFiles(files) {
+  if (files.length === 0) {
     UI.updateSummary('No file selected.');
     return;
   }
 
-  UI.updateSummary('Reading file...');
+  // A new upload replaces one still in progress
+  cancelLoading('superseded');
+
+  // Cancelling the batch cancels the file being read (load.onCancel) and skips the rest
+  const load = { cancelled: null, onCancel: null };
+  const handle = {
+    cancel: (reason) => {
+      load.cancelled = reason;
+      if (load.onCancel) load.onCancel();
+    }
+  };
+  activeLoad = handle;
+
+  const loaded = [];
+  const errors = [];
+
+  for (const file of files) {
+    const prefix = files.length > 1 ? `${file.name}: ` : '';
+
+    const result = await readInventoryFile(file, (stage, fraction) => {
+      const percent = fraction === null ? '' : ` ${Math.floor(fraction * 100)}%`;
+      UI.showLoadProgress(`${prefix}${stage}...${percent}`, fraction);
+    }, load);
+
+    if (load.cancelled) break;
+
+    // One bad file shouldn't cost the rest of the batch
+    if (!result.success) {
+      errors.push(`${prefix}${result.error}`);
+      continue;
+    }
+
+    loaded.push(result.snapshot);
+  }
+
+  if (activeLoad === handle) activeLoad = null;
+
+  // A newer upload owns the progress panel now, and clearing the data drops the batch
+  if (load.cancelled && load.cancelled !== 'user') return;
+
+  // Files read before the user cancelled are still shown
+  if (load.cancelled && loaded.length > 0) {
+    errors.push(`Cancelled - showing the ${loaded.length} of ${files.length} files already read`);
+  }
+
+  if (errors.length > 0) {
+    UI.showLoadError(errors.join(' · '));
+  } else {
+    UI.hideLoadProgress();
+  }
+
+  if (loaded.length === 0) {
+    if (errors.length > 0) UI.updateSummary(errors.join(' · '));
+    return;
+  }
+
+  if (STORAGE.isStorageAvailable() && STORAGE.isPersistenceEnabled()) {
+    await persistSnapshots(loaded);
+  }
 
+  addSnapshots(loaded);
+}
+
+/**
+ * Adds snapshots to the loaded set and shows the newest of them
+ * @param {Array} snapshots - Snapshots to add
+ */
+function addSnapshots(snapshots) {
+  appState.snapshots.push(...snapshots);
+  appState.snapshots.sort((a, b) => a.lastModified - b.lastModified);
+
+  // Compare against the newest of the freshly loaded exports
+  const newest = snapshots.reduce((latest, snapshot) =>
+    snapshot.lastModified >= latest.lastModified ? snapshot : latest);
+  appState.diffSelection = { baseId: null, targetId: null };
+
+  activateSnapshot(newest.id);
+}
+
+/**
+ * Saves snapshots to local storage, remembering their stored IDs
+ * @param {Array} snapshots - Snapshots to save
+ */
+async function persistSnapshots(snapshots) {
   try {
-    // Read file content
-    const text = await file.text();
-    UI.updateSummary('Cleaning and validating JSON...');
+    for (const snapshot of snapshots) {
+      snapshot.storedId = await STORAGE.saveSnapshot({
+        fileName: snapshot.fileName,
+        lastModified: snapshot.lastModified,
+        rawData: snapshot.rawData
+      });
+    }
+  } catch (error) {
+    // Saving is best effort - the file is still shown
+    console.warn(`Could not save inventory locally: ${error.message}`);
+  }
+}
+
+/**
+ * Re-renders the saved inventories list on the upload screen
+ * @param {string} status - Optional status message to show under the list
+ */
+async function refreshSavedSnapshots(status = '') {
+  if (!STORAGE.isStorageAvailable()) {
+    UI.renderSavedSnapshots([], { available: false });
+    return;
+  }
 
-    // Clean and parse JSON
-    const cleanedJson = UTILS.cleanJsonString(text);
-    const parseResult = UTILS.safeJsonParse(cleanedJson);
+  const enabled = STORAGE.isPersistenceEnabled();
 
-    if (!parseResult.success) {
-      UI.updateSummary(`Invalid JSON file: ${parseResult.error}`);
-      return;
+  // Opening the database creates it, so nothing is touched until the user opts in
+  if (!enabled) {
+    UI.renderSavedSnapshots([], { enabled, status });
+    return;
+  }
+
+  try {
+    const records = await STORAGE.listSnapshots();
+    UI.renderSavedSnapshots(records, { enabled, status });
+  } catch (error) {
+    UI.renderSavedSnapshots([], {
+      enabled,
+      status: `Saved inventories unavailable: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Handles actions from the saved inventories list
+ * @param {CustomEvent} event - Storage action event
+ */
+async function handleStorageAction(event) {
+  const { action, id, name, enabled } = event.detail;
+
+  try {
+    if (action === 'toggle') {
+      STORAGE.setPersistenceEnabled(enabled);
+      refreshLocationMenu();
+      await refreshSavedSnapshots(enabled ? 'Files you load from now on are kept in this browser.' : '');
+    } else if (action === 'open') {
+      await openSavedSnapshot(id);
+    } else if (action === 'rename') {
+      await STORAGE.renameSnapshot(id, name);
+      await refreshSavedSnapshots();
+    } else if (action === 'delete') {
+      if (!window.confirm('Delete this saved inventory?')) return;
+      await STORAGE.deleteSnapshot(id);
+      await refreshSavedSnapshots();
+    } else if (action === 'forget') {
+      if (!window.confirm('Delete every saved inventory and setting from this browser?')) return;
+      let status;
+      try {
+        status = await STORAGE.forgetEverything() ?
+          'Everything stored by this app has been deleted.' :
+          'Settings deleted. Saved inventories will be deleted once other tabs with this app are closed.';
+      } catch (error) {
+        status = `Settings deleted, but saved inventories could not be: ${error.message}`;
+      }
+      refreshLocationMenu();
+      await refreshSavedSnapshots(status);
     }
+  } catch (error) {
+    await refreshSavedSnapshots(`Storage error: ${error.message}`);
+  }
+}
+
+/**
+ * Loads a saved inventory as a snapshot
+ * @param {string} storedId - Saved snapshot ID
+ */
+async function openSavedSnapshot(storedId) {
+  // Already loaded - just switch to it
+  const loaded = appState.snapshots.find(snapshot => snapshot.storedId === storedId);
+  if (loaded) {
+    activateSnapshot(loaded.id);
+    return;
+  }
+
+  const record = await STORAGE.loadSnapshot(storedId);
+  if (!record) {
+    await refreshSavedSnapshots('That saved inventory could not be found.');
+    return;
+  }
+
+  const snapshot = createSnapshot(record.name, record.lastModified, record.rawData);
+  snapshot.storedId = storedId;
+  snapshot.agent = record.agent || '';
+  addSnapshots([snapshot]);
+}
 
-    // Validate data structure
-    const validationResult = UTILS.validateInventoryData(parseResult.data);
-    if (!validationResult.isValid) {
-      UI.updateSummary(validationResult.error);
+/**
+ * Reads, cleans, validates and processes a single inventory file
+ * @param {File} file - Inventory file
+ * @param {Function} onProgress - Called with (stage, fraction|null) as loading proceeds
+ * @param {Object} load - Batch being loaded, {cancelled: reason|null, onCancel: set to stop this file}
+ * @returns {Promise<Object>} {success: boolean, snapshot?: Object, error?: string, cancelled?: boolean}
+ */
+async function readInventoryFile(file, onProgress, load) {
+  // Parse in a worker; fall back to the main thread where workers can't run (e.g. file://)
+  let result = await parseInWorker(file, onProgress, load);
+  if (result.workerUnavailable && !load.cancelled) {
+    result = await parseOnMainThread(file, onProgress, load);
+  }
+
+  if (!result.success) {
+    return result;
+  }
+
+  return {
+    success: true,
+    snapshot: createSnapshot(file.name, file.lastModified, result.processedData.raw, result.processedData)
+  };
+}
+
+/**
+ * Parses an inventory file in the parser worker
+ * @param {File} file - Inventory file
+ * @param {Function} onProgress - Called with (stage, fraction|null) for each progress message
+ * @param {Object} load - Batch being loaded (see readInventoryFile)
+ * @returns {Promise<Object>} {success, processedData?, error?, cancelled?, workerUnavailable?}
+ */
+function parseInWorker(file, onProgress, load) {
+  return new Promise((resolve) => {
+    let worker;
+    try {
+      worker = new Worker(CONSTANTS.PARSER_CONFIG.WORKER_URL);
+    } catch (error) {
+      resolve({ success: false, workerUnavailable: true });
       return;
     }
 
-    // Process the data
-    const processedData = DATA.processInventoryData(parseResult.data);
+    const finish = (result) => {
+      worker.terminate();
+      load.onCancel = null;
+      resolve(result);
+    };
 
-    // Update application state
-    appState.rawData = parseResult.data;
-    appState.processedData = processedData;
-
-    // Format and store file info
-    const fileDate = new Date(file.lastModified);
-    const formattedDate = fileDate.toLocaleString(undefined, {
-      year: 'numeric',
-      month: 'short',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    });
+    load.onCancel = () => finish({ success: false, cancelled: true });
 
-    appState.fileInfo = `Loaded: ${file.name} - Last modified: ${formattedDate}`;
+    worker.onmessage = (event) => {
+      const message = event.data;
 
-    // Update UI
-    UI.showInventoryInterface();
-    UI.updateTotalCount(processedData.totalCount);
-    UI.updateSummary(appState.fileInfo);
+      if (message.type === 'progress') {
+        onProgress(message.stage, message.fraction);
+      } else if (message.type === 'done') {
+        finish({ success: true, processedData: message.processedData });
+      } else {
+        finish({ success: false, error: message.error });
+      }
+    };
+
+    // Script failed to load or crashed - let the main thread try instead
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish({ success: false, workerUnavailable: true });
+    };
+
+    worker.postMessage({ file });
+  });
+}
+
+/**
+ * Parses an inventory file on the main thread (blocks the page on large files)
+ * @param {File} file - Inventory file
+ * @param {Function} onProgress - Called with (stage, fraction|null) as loading proceeds
+ * @param {Object} load - Batch being loaded (see readInventoryFile); only load.cancelled is checked here
+ * @returns {Promise<Object>} {success, processedData?, error?, cancelled?}
+ */
+async function parseOnMainThread(file, onProgress, load) {
+  // Each stage blocks the page, so yield between them to let a Cancel click through
+  const nextStage = async (stage) => {
+    onProgress(stage, null);
+    await new Promise(resolve => setTimeout(resolve, 0));
+    return !load.cancelled;
+  };
+
+  try {
+    onProgress('Reading file', null);
+    const text = await file.text();
+    if (!await nextStage('Cleaning JSON')) return { success: false, cancelled: true };
+
+    // Clean, parse and validate JSON
+    const parseResult = DATA.parseInventoryText(text, onProgress);
+    if (!parseResult.success) {
+      return parseResult;
+    }
 
-    // Populate filters and render inventory
-    updateFiltersAndRender();
+    if (!await nextStage('Extracting items from containers')) return { success: false, cancelled: true };
+    const processedData = DATA.processInventoryData(parseResult.data);
 
-    // Clear the file input
-    elements.fileInput.value = '';
+    if (!await nextStage('Grouping items')) return { success: false, cancelled: true };
+    Object.assign(processedData, DATA.groupInventory(processedData));
 
+    return { success: true, processedData };
   } catch (error) {
-    UI.updateSummary(`Failed to read file: ${error.message}`);
+    return { success: false, error: `Failed to read file: ${error.message}` };
+  }
+}
+
+/**
+ * Cancels the file currently loading, if any
+ * @param {string} reason - 'user' (Cancel button), 'superseded' (a new upload) or 'cleared' (data cleared)
+ */
+function cancelLoading(reason) {
+  if (activeLoad) {
+    activeLoad.cancel(reason);
   }
 }
 
+/**
+ * Creates a snapshot record for a parsed inventory export
+ * @param {string} fileName - Original file name
+ * @param {number} lastModified - File modification time in milliseconds
+ * @param {Object} rawData - Parsed inventory JSON
+ * @param {Object} processedData - Result of DATA.processInventoryData, if already processed (grouped or not)
+ * @returns {Object} Snapshot {id, fileName, lastModified, label, rawData, processedData, storedId, agent}
+ */
+function createSnapshot(fileName, lastModified, rawData, processedData = DATA.processInventoryData(rawData)) {
+  snapshotSequence++;
+
+  // Freshly read files arrive grouped; saved snapshots are grouped here
+  if (!processedData.typeBuckets) {
+    Object.assign(processedData, DATA.groupInventory(processedData));
+  }
+
+  return {
+    id: `snapshot-${snapshotSequence}`,
+    fileName,
+    lastModified,
+    label: `${fileName} (${formatFileDate(lastModified)})`,
+    rawData,
+    processedData,
+    storedId: null, // Set once saved to (or opened from) local storage
+    agent: '' // Whose export this is, for the team view
+  };
+}
+
+/**
+ * Formats a file modification time for display
+ * @param {number} ms - Timestamp in milliseconds
+ * @returns {string} Formatted date
+ */
+function formatFileDate(ms) {
+  return new Date(ms).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  });
+}
+
+/**
+ * Makes a loaded snapshot the one displayed in the inventory view
+ * @param {string} snapshotId - Snapshot ID
+ */
+function activateSnapshot(snapshotId) {
+  const snapshot = appState.snapshots.find(s => s.id === snapshotId);
+  if (!snapshot) return;
+
+  // Update application state
+  appState.activeSnapshotId = snapshot.id;
+  appState.selectedContainerId = null;
+  appState.rawData = snapshot.rawData;
+  appState.processedData = snapshot.processedData;
+  appState.fileInfo = `Loaded: ${snapshot.fileName} - Last modified: ${formatFileDate(snapshot.lastModified)}`;
+
+  // Update UI
+  UI.showInventoryInterface();
+  UI.populateSnapshotSelect(appState.snapshots, snapshot.id);
+  UI.updateTotalCount(snapshot.processedData.totalCount);
+  refreshSummary();
+  refreshWarnings();
+  UI.renderUnknownTypes(DATA.findUnknownTypes(snapshot.processedData.expanded));
+  UI.renderItemDrawer(null);
+
+  // Populate filters and render inventory
+  updateFiltersAndRender();
+}
+
 /**
  * Updates filter options and renders the inventory
  */
 function updateFiltersAndRender() {
   if (!appState.processedData) return;
 
-  // Populate filter options
-  const { types, rarities } = DATA.populateFilterOptions(appState.processedData.expanded);
-  UI.populateRarityFilter(rarities);
+  // Populate filter options, keeping the current selections
+  const { filterOptions } = appState.processedData;
+  UI.populateRarityFilter(filterOptions.rarities, UI.getCurrentFilters().rarity);
+  UI.renderTypeFilter(filterOptions, appState.typeFilter);
 
   // Render inventory
-  renderInventory();
+  renderCurrentView();
+}
+
+/**
+ * Renders whichever view is active
+ */
+function renderCurrentView() {
+  if (!appState.processedData) return;
+
+  UI.renderViewTabs(appState.view);
+  UI.showView(appState.view);
+
+  if (appState.view === 'dashboard') {
+    renderDashboardView();
+  } else if (appState.view === 'diff') {
+    renderDiffView();
+  } else if (appState.view === 'map') {
+    renderMapView();
+  } else if (appState.view === 'levels') {
+    renderLevelsView();
+  } else if (appState.view === 'timeline') {
+    renderTimelineView();
+  } else if (appState.view === 'recycle') {
+    renderRecycleView();
+  } else if (appState.view === 'loadout') {
+    renderLoadoutView();
+  } else if (appState.view === 'team') {
+    renderTeamView();
+  } else if (appState.view === 'coverage') {
+    renderCoverageView();
+  } else if (appState.view === 'containers') {
+    renderContainersView();
+  } else {
+    renderInventory();
+  }
+}
+
+/**
+ * Renders the diff between the selected snapshots
+ */
+function renderDiffView() {
+  const { snapshots } = appState;
+  const filters = getActiveFilters();
+
+  // Default to the two most recent exports
+  const findSnapshot = (id) => snapshots.find(s => s.id === id);
+  const target = findSnapshot(appState.diffSelection.targetId) || snapshots[snapshots.length - 1];
+  const base = findSnapshot(appState.diffSelection.baseId) || snapshots[snapshots.length - 2] || target;
+
+  const baseItems = DATA.filterItems(base.processedData.expanded, filters);
+  const targetItems = DATA.filterItems(target.processedData.expanded, filters);
+
+  UI.renderDiff(DATA.diffInventories(baseItems, targetItems), {
+    snapshots,
+    baseId: base.id,
+    targetId: target.id,
+    containers: DATA.buildContainerIndex([
+      ...base.processedData.expanded,
+      ...target.processedData.expanded
+    ]),
+    sortConfig: appState.sortConfig,
+    userLocation: appState.userLocation
+  });
+
+  refreshSummary();
+}
+
+/**
+ * Gets the filters every view applies: the filter controls plus the search query
+ * @returns {Object} Filter configuration for DATA.filterItems
+ */
+function getActiveFilters() {
+  return {
+    ...UI.getCurrentFilters(),
+    ...appState.typeFilter,
+    query: appState.searchFilter,
+    userLocation: appState.userLocation
+  };
+}
+
+/**
+ * Shows the file info, plus any search problem, in the summary
+ */
+function refreshSummary() {
+  if (!appState.fileInfo) return;
+
+  let notice = '';
+  if (appState.searchError) {
+    notice = `Search: ${appState.searchError}`;
+  } else if (!appState.userLocation && QUERY.usesField(appState.searchFilter, 'dist')) {
+    notice = 'Search: dist: needs a location (allow location access or set one), so no items match it';
+  }
+
+  UI.updateSummary(appState.fileInfo, notice);
+}
+
+/**
+ * Filters and groups the active snapshot's items. Without filters that narrow the items
+ * this is the grouping done when the file loaded (in the parser worker).
+ * @param {Object} filters - Filter configuration for DATA.filterItems
+ * @returns {Map} Grouped items from DATA.groupItems
+ */
+function groupActiveItems(filters) {
+  const { expanded, typeBuckets } = appState.processedData;
+  const narrowed = filters.rarity || filters.types?.length || filters.subTypes?.length ||
+                   filters.minLevel || filters.maxLevel || filters.query;
+
+  return narrowed ? DATA.groupItems(DATA.filterItems(expanded, filters)) : typeBuckets;
+}
+
+/**
+ * Filters, groups and selects the sections the inventory view shows
+ * @param {Object} filters - Current filter configuration
+ * @returns {Array} Visible sections from DATA.selectVisibleSections
+ */
+function buildInventorySections(filters) {
+  return DATA.selectVisibleSections(groupActiveItems(filters), {
+    filters,
+    sortConfig: appState.sortConfig,
+    userLocation: appState.userLocation
+  });
 }
 
 /**
@@ -239,66 +811,488 @@ function renderInventory() {
   if (!appState.processedData) return;
 
   // Get current filters
-  const filters = UI.getCurrentFilters();
-
-  // Filter items
-  const filteredItems = DATA.filterItems(appState.processedData.expanded, filters);
-
-  // Group items
-  const typeBuckets = DATA.groupItems(filteredItems);
+  const filters = getActiveFilters();
 
   // Render UI
-  UI.renderInventory(typeBuckets, {
+  UI.renderInventory(buildInventorySections(filters), {
     filters,
     sortConfig: appState.sortConfig,
-    userLocation: appState.userLocation,
-    keySearchQuery: appState.keySearchQuery,
-    keySearchShouldRefocus: appState.keySearchShouldRefocus,
-    keySearchSelection: appState.keySearchSelection
+    userLocation: appState.userLocation
   });
 
-  // Reset refocus state
-  appState.keySearchShouldRefocus = false;
-
   // Preserve file info in summary
-  if (appState.fileInfo) {
-    UI.updateSummary(appState.fileInfo);
+  refreshSummary();
+}
+
+/**
+ * Exports the items the inventory view currently shows
+ */
+function handleExport() {
+  const format = elements.exportFormat.value;
+  elements.exportFormat.value = '';
+
+  if (!format || !appState.processedData) return;
+
+  const sections = buildInventorySections(getActiveFilters());
+  const containers = DATA.buildContainerIndex(appState.processedData.expanded);
+
+  const snapshot = appState.snapshots.find(s => s.id === appState.activeSnapshotId);
+  const baseName = (snapshot?.fileName || 'inventory').replace(/\.json$/i, '');
+
+  // IITC formats only carry portals, so they take the keys shown
+  if (format === 'bookmarks' || format === 'bookmarks-capsule' || format === 'drawtools') {
+    const keySection = sections.find(section => section.displayType === 'Keys');
+    const entries = keySection ? keySection.entries : [];
+    const { EXTENSION, MIME_TYPE } = CONSTANTS.EXPORT_CONFIG.IITC;
+
+    if (entries.length === 0) {
+      UI.updateSummary(appState.fileInfo, 'No keys shown to export.');
+      return;
+    }
+
+    const content = format === 'drawtools' ?
+      IITC.buildDrawToolsMarkers(entries) :
+      IITC.buildBookmarks(entries, {
+        folders: format === 'bookmarks-capsule' ? 'capsule' : 'single',
+        folderName: appState.searchQuery.trim() || `Keys: ${baseName}`,
+        containers
+      });
+
+    UI.downloadFile(`${baseName}-${format}.${EXTENSION}`, content, MIME_TYPE);
+    return;
   }
+
+  const config = CONSTANTS.EXPORT_CONFIG.FORMATS[format];
+  const rows = EXPORT.buildExportRows(sections, containers);
+
+  // Byte order mark so spreadsheet apps detect UTF-8 portal names
+  UI.downloadFile(
+    `${baseName}.${config.EXTENSION}`,
+    '\uFEFF' + EXPORT.toDelimited(rows, format),
+    config.MIME_TYPE
+  );
 }
 
 /**
- * Handles filter changes (rarity, hide capsuled)
+ * Renders the key map for the keys matching the current filters
  */
-function handleFilterChange() {
-  if (appState.processedData) {
-    renderInventory();
+function renderMapView() {
+  const filters = getActiveFilters();
+  const keySection = buildInventorySections(filters).find(section => section.displayType === 'Keys');
+
+  UI.renderMapView(MAP.collectKeyPoints(keySection ? keySection.entries : []), {
+    view: appState.mapView,
+    tileUrl: appState.mapTileUrl,
+    hideCapsuled: filters.hideCapsuled,
+    userLocation: appState.userLocation
+  });
+
+  refreshSummary();
+}
+
+/**
+ * Renders the dashboard for the filtered items
+ */
+function renderDashboardView() {
+  // Capsuled items are a breakdown of their own here, so hide-capsuled doesn't apply
+  const filteredItems = DATA.filterItems(appState.processedData.expanded, getActiveFilters());
+
+  UI.renderDashboard(DATA.summarizeInventory(filteredItems), {
+    spaceUsed: appState.processedData.totalCount,
+    capacity: CONSTANTS.INVENTORY_CONFIG.CAPACITY,
+    warningPercent: appState.warningThresholds.inventoryPercent
+  });
+
+  refreshSummary();
+}
+
+/**
+ * Builds the recycle plan for the filtered items
+ * @returns {Object} Plan from DATA.planRecycling
+ */
+function buildRecyclePlan() {
+  // Capsuled items can be unloaded and recycled, so hide-capsuled doesn't apply
+  return DATA.planRecycling(
+    groupActiveItems(getActiveFilters()),
+    appState.recycleTargets,
+    DATA.buildContainerIndex(appState.processedData.expanded)
+  );
+}
+
+/**
+ * Renders the recycle planner
+ */
+function renderRecycleView() {
+  UI.renderRecyclePlanner(buildRecyclePlan());
+  refreshSummary();
+}
+
+/**
+ * Handles recycle planner actions: setting targets and downloading the checklist
+ * @param {CustomEvent} event - Recycle plan action event
+ */
+function handleRecyclePlanAction(event) {
+  const { action, id, keep } = event.detail;
+
+  if (action === 'export') {
+    if (!appState.processedData) return;
+
+    const snapshot = appState.snapshots.find(s => s.id === appState.activeSnapshotId);
+    const fileName = snapshot?.fileName || 'inventory';
+    const { EXTENSION, MIME_TYPE } = CONSTANTS.EXPORT_CONFIG.CHECKLIST;
+
+    UI.downloadFile(
+      `${fileName.replace(/\.json$/i, '')}-recycle.${EXTENSION}`,
+      EXPORT.buildRecycleChecklist(buildRecyclePlan(), fileName),
+      MIME_TYPE
+    );
+    return;
+  }
+
+  if (action === 'clearTargets') {
+    appState.recycleTargets = {};
+  } else if (action === 'setTarget') {
+    const targets = { ...appState.recycleTargets };
+    if (keep === null) {
+      delete targets[id];
+    } else {
+      targets[id] = keep;
+    }
+    appState.recycleTargets = targets;
   }
+
+  STORAGE.savePreference('recycleTargets', appState.recycleTargets);
+
+  renderCurrentView();
 }
 
 /**
- * Handles key search input
- * @param {CustomEvent} event - Key search event
+ * Renders the active loadout template against the whole inventory
  */
-function handleKeySearch(event) {
-  const { query } = event.detail;
+function renderLoadoutView() {
+  const { expanded } = appState.processedData;
+  const template = appState.loadoutTemplates[appState.activeLoadout] || null;
+
+  // Filters don't apply: a loadout is about everything you hold, capsules included
+  let report = null;
+  if (template) {
+    report = DATA.compareLoadout(groupActiveItems({}), template, DATA.buildContainerIndex(expanded));
+  }
 
-  // Capture selection state for refocusing
-  const keySearchInput = document.getElementById('keySearch');
-  if (keySearchInput) {
+  UI.renderLoadoutView({
+    templates: appState.loadoutTemplates,
+    activeIndex: appState.activeLoadout,
+    report,
+    persistent: STORAGE.isPersistenceEnabled(),
+    error: appState.loadoutError
+  });
+  refreshSummary();
+}
+
+/**
+ * Handles loadout template actions: editing, switching, importing and exporting templates
+ * @param {CustomEvent} event - Loadout action event
+ */
+async function handleLoadoutAction(event) {
+  const { action, index, field, value, name, file } = event.detail;
+  const templates = appState.loadoutTemplates.map(t => ({ ...t, lines: t.lines.map(line => ({ ...line })) }));
+  const template = templates[appState.activeLoadout];
+
+  appState.loadoutError = '';
+
+  if (action === 'export') {
+    if (!template) return;
+    const { EXTENSION, MIME_TYPE } = CONSTANTS.EXPORT_CONFIG.LOADOUTS;
+    const fileName = template.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'loadout';
+    UI.downloadFile(`${fileName}.${EXTENSION}`, EXPORT.buildLoadoutFile([template]), MIME_TYPE);
+    return;
+  }
+
+  // Editing actions need a template; a stale event can arrive after the last one was deleted
+  if (['rename', 'addLine', 'removeLine', 'updateLine'].includes(action) && !template) return;
+
+  if (action === 'select') {
+    appState.activeLoadout = index;
+    renderCurrentView();
+    return;
+  }
+
+  if (action === 'create') {
+    const example = CONSTANTS.LOADOUT_CONFIG.EXAMPLE_TEMPLATE;
+    templates.push({
+      name: `${example.name} ${templates.length + 1}`,
+      lines: example.lines.map(line => ({ ...line }))
+    });
+    appState.activeLoadout = templates.length - 1;
+  } else if (action === 'delete') {
+    if (!template || !window.confirm(`Delete the loadout template "${template.name}"?`)) return;
+    templates.splice(appState.activeLoadout, 1);
+    appState.activeLoadout = Math.max(0, appState.activeLoadout - 1);
+  } else if (action === 'rename') {
+    template.name = name;
+  } else if (action === 'addLine') {
+    template.lines.push({ label: '', query: '', quantity: 1 });
+  } else if (action === 'removeLine') {
+    template.lines.splice(index, 1);
+  } else if (action === 'updateLine') {
+    template.lines[index][field] = value;
+  } else if (action === 'import') {
+    let parsed;
     try {
-      appState.keySearchSelection = [keySearchInput.selectionStart, keySearchInput.selectionEnd];
+      parsed = DATA.parseLoadoutTemplates(JSON.parse(await file.text()));
     } catch (error) {
-      appState.keySearchSelection = null;
+      parsed = { success: false, error: `Not a JSON file (${error.message})` };
+    }
+
+    if (!parsed.success) {
+      appState.loadoutError = `Import failed: ${parsed.error}`;
+      renderCurrentView();
+      return;
     }
+
+    // Imported templates replace ones with the same name, so a team lead can send updates
+    for (const imported of parsed.templates) {
+      const existing = templates.findIndex(t => t.name === imported.name);
+      if (existing === -1) {
+        templates.push(imported);
+      } else {
+        templates[existing] = imported;
+      }
+    }
+    appState.activeLoadout = templates.findIndex(t => t.name === parsed.templates[0].name);
+  }
+
+  appState.loadoutTemplates = templates;
+
+  STORAGE.savePreference('loadoutTemplates', appState.loadoutTemplates);
+
+  renderCurrentView();
+}
+
+/**
+ * Combines the newest export of every tagged agent, with the current filters applied
+ * @returns {Object} Team from DATA.aggregateTeam
+ */
+function buildTeam() {
+  // Snapshots are kept oldest first, so later exports of an agent replace earlier ones
+  const latest = new Map();
+  for (const snapshot of appState.snapshots) {
+    if (snapshot.agent) latest.set(snapshot.agent, snapshot);
+  }
+
+  // Team totals include capsules, so hide-capsuled doesn't apply
+  const filters = getActiveFilters();
+  return DATA.aggregateTeam([...latest.values()].map(snapshot => ({
+    agent: snapshot.agent,
+    items: DATA.filterItems(snapshot.processedData.expanded, filters)
+  })));
+}
+
+/**
+ * Renders the team view: combined counts per agent and key holders for a portal
+ */
+function renderTeamView() {
+  const team = buildTeam();
+
+  UI.renderTeamView(team, {
+    snapshots: appState.snapshots,
+    sections: DATA.selectVisibleSections(team.buckets, {
+      sortConfig: appState.sortConfig,
+      userLocation: appState.userLocation
+    }),
+    portalQuery: appState.teamPortalQuery,
+    holders: DATA.findKeyHolders(team, appState.teamPortalQuery)
+  });
+  refreshSummary();
+}
+
+/**
+ * Handles team view actions: tagging exports with agents and looking up key holders
+ * @param {CustomEvent} event - Team action event
+ */
+async function handleTeamAction(event) {
+  const { action, snapshotId, agent, text } = event.detail;
+
+  if (action === 'tag') {
+    const snapshot = appState.snapshots.find(s => s.id === snapshotId);
+    if (!snapshot) return;
+    snapshot.agent = agent;
+
+    // Saved exports keep their tag
+    if (snapshot.storedId && STORAGE.isPersistenceEnabled()) {
+      try {
+        await STORAGE.setSnapshotAgent(snapshot.storedId, agent);
+      } catch (error) {
+        console.warn(`Could not save agent tag: ${error.message}`);
+      }
+    }
+  } else if (action === 'findPortal') {
+    appState.teamPortalQuery = text;
   }
 
-  // Update search state
-  appState.keySearchQuery = query.toLowerCase();
-  appState.keySearchShouldRefocus = true;
+  renderCurrentView();
+}
+
+/**
+ * Renders the key coverage report for the pasted target portals
+ */
+function renderCoverageView() {
+  const { expanded } = appState.processedData;
+  let report = null;
+  let error = '';
+  let skipped = 0;
+
+  if (appState.coverageText.trim()) {
+    const parsed = IITC.parsePortalList(appState.coverageText);
+    if (parsed.success) {
+      // Every key counts, wherever it is stored and whatever the filters say
+      report = DATA.checkKeyCoverage(groupActiveItems({}), parsed.targets, DATA.buildContainerIndex(expanded));
+      skipped = parsed.skipped;
+    } else {
+      error = parsed.error;
+    }
+  }
+
+  UI.renderCoverageView(report, { text: appState.coverageText, error, skipped });
+  refreshSummary();
+}
+
+/**
+ * Handles a new list of target portals for the coverage report
+ * @param {CustomEvent} event - Coverage targets change event
+ */
+function handleCoverageTargetsChange(event) {
+  appState.coverageText = event.detail.text;
+  renderCurrentView();
+}
+
+/**
+ * Renders the level distribution of the filtered items
+ */
+function renderLevelsView() {
+  const filters = getActiveFilters();
+  const filteredItems = DATA.filterItems(appState.processedData.expanded, filters);
+
+  UI.renderLevelsView(DATA.summarizeLevels(filteredItems, filters.hideCapsuled), {
+    hideCapsuled: filters.hideCapsuled
+  });
+
+  refreshSummary();
+}
+
+/**
+ * Validates timeline settings, e.g. from a saved preference; invalid values fall back to defaults
+ * @param {Object} settings - {bin, staleDays}
+ * @returns {Object} Timeline settings {bin, staleDays}
+ */
+function readTimelineSettings(settings) {
+  const { BINS, DEFAULT_BIN } = CONSTANTS.TIMELINE_CONFIG;
+  const staleDays = Number(settings?.staleDays);
+
+  return {
+    bin: BINS.includes(settings?.bin) ? settings.bin : DEFAULT_BIN,
+    staleDays: Number.isInteger(staleDays) && staleDays > 0 ? staleDays : null
+  };
+}
+
+/**
+ * Renders the acquisition timeline of the filtered keys
+ */
+function renderTimelineView() {
+  // Capsuled keys were acquired like any other, so hide-capsuled doesn't apply
+  const now = Date.now();
+
+  UI.renderTimelineView(DATA.summarizeKeyTimeline(groupActiveItems(getActiveFilters()), {
+    ...appState.timelineSettings,
+    now
+  }), { ...appState.timelineSettings, now });
+
+  refreshSummary();
+}
+
+/**
+ * Handles changing the timeline bin size or stale-key age
+ * @param {CustomEvent} event - Timeline settings change event ({bin} or {staleDays})
+ */
+function handleTimelineSettingsChange(event) {
+  appState.timelineSettings = readTimelineSettings({ ...appState.timelineSettings, ...event.detail });
+
+  STORAGE.savePreference('timelineSettings', appState.timelineSettings);
+
+  renderCurrentView();
+}
+
+/**
+ * Renders the containers list or the contents of the selected container
+ */
+function renderContainersView() {
+  UI.renderContainersView(DATA.collectContainers(appState.processedData.expanded), {
+    selectedId: appState.selectedContainerId,
+    containerIndex: DATA.buildContainerIndex(appState.processedData.expanded),
+    filters: getActiveFilters(),
+    sortConfig: appState.sortConfig,
+    userLocation: appState.userLocation
+  });
+
+  refreshSummary();
+}
+
+/**
+ * Handles filter changes (rarity, hide capsuled)
+ */
+function handleFilterChange() {
+  updateUrlState();
 
-  // Re-render inventory with search filter
   if (appState.processedData) {
-    renderInventory();
+    renderCurrentView();
+  }
+}
+
+/**
+ * Handles type, sub-type and level selections from the type filter menu
+ * @param {CustomEvent} event - Type filter change event
+ */
+function handleTypeFilterChange(event) {
+  const { types, subTypes, minLevel, maxLevel } = event.detail;
+  appState.typeFilter = { types, subTypes, minLevel, maxLevel };
+  updateUrlState();
+
+  if (appState.processedData) {
+    renderCurrentView();
+  }
+}
+
+/**
+ * Handles search box input
+ */
+function handleSearchInput() {
+  const text = elements.searchInput.value;
+  if (text === appState.searchQuery) return;
+
+  setSearchQuery(text);
+
+  // Typing updates the current history entry rather than adding one per keystroke
+  updateUrlState(true);
+
+  if (appState.processedData) {
+    renderCurrentView();
+  }
+}
+
+/**
+ * Parses and stores the search query
+ * @param {string} text - Search box text
+ */
+function setSearchQuery(text) {
+  const result = QUERY.parseQuery(text);
+  appState.searchQuery = text;
+
+  // Keep the last valid filter while the query is being edited
+  if (result.success) {
+    appState.searchFilter = result.query;
+    appState.searchError = '';
+  } else {
+    appState.searchError = result.error;
   }
 }
 
@@ -312,24 +1306,235 @@ function handleSortChange(event) {
   // Update sort configuration
   appState.sortConfig.mode = mode;
   appState.sortConfig.directions[mode] = direction;
+  updateUrlState();
 
   // Re-render inventory with new sort order
   if (appState.processedData) {
-    renderInventory();
+    renderCurrentView();
+  }
+}
+
+/**
+ * Handles switching between views
+ * @param {CustomEvent} event - View change event
+ */
+function handleViewChange(event) {
+  appState.view = event.detail.view;
+  updateUrlState();
+  renderCurrentView();
+}
+
+/**
+ * Builds the URL hash for the shareable view state; defaults are left out
+ * @returns {string} Hash such as "#view=map&sort=distance&q=park", or '' when everything is default
+ */
+function buildUrlHash() {
+  const params = new URLSearchParams();
+  const { mode, directions } = appState.sortConfig;
+  const filters = UI.getCurrentFilters();
+
+  if (appState.view !== 'inventory') params.set('view', appState.view);
+  if (mode !== 'alpha') params.set('sort', mode);
+  if (directions[mode] !== 'asc') params.set('dir', directions[mode]);
+  if (appState.searchQuery) params.set('q', appState.searchQuery);
+  if (filters.rarity) params.set('rarity', filters.rarity);
+  if (!filters.hideCapsuled) params.set('capsuled', 'show');
+  appState.typeFilter.types.forEach(type => params.append('type', type));
+  appState.typeFilter.subTypes.forEach(subType => params.append('subtype', subType));
+  if (appState.typeFilter.minLevel) params.set('minlevel', appState.typeFilter.minLevel);
+  if (appState.typeFilter.maxLevel) params.set('maxlevel', appState.typeFilter.maxLevel);
+
+  const hash = params.toString();
+  return hash ? `#${hash}` : '';
+}
+
+/**
+ * Records the current view state in the URL
+ * @param {boolean} replace - Replace the current history entry instead of adding one
+ */
+function updateUrlState(replace = false) {
+  const hash = buildUrlHash();
+  if (hash === window.location.hash) return;
+
+  const url = `${window.location.pathname}${window.location.search}${hash}`;
+  try {
+    if (replace) {
+      history.replaceState(null, '', url);
+    } else {
+      history.pushState(null, '', url);
+    }
+  } catch (error) {
+    // History unavailable (e.g. sandboxed frame) - state just isn't shareable
+  }
+}
+
+/**
+ * Applies view state from a URL hash; unknown or invalid values fall back to defaults
+ * @param {string} hash - URL hash, with or without the leading '#'
+ */
+function applyUrlState(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+
+  const view = params.get('view');
+  appState.view = CONSTANTS.UI_CONFIG.VIEWS.some(v => v.id === view) ? view : 'inventory';
+
+  // Sort mode and its direction; other modes go back to ascending
+  const { directions } = appState.sortConfig;
+  const mode = params.get('sort');
+  appState.sortConfig.mode = Object.prototype.hasOwnProperty.call(directions, mode) ? mode : 'alpha';
+  Object.keys(directions).forEach(key => { directions[key] = 'asc'; });
+  directions[appState.sortConfig.mode] = params.get('dir') === 'desc' ? 'desc' : 'asc';
+
+  const query = params.get('q') || '';
+  if (elements.searchInput) elements.searchInput.value = query;
+  setSearchQuery(query);
+
+  UI.setFilterControls({
+    rarity: (params.get('rarity') || '').toUpperCase(),
+    hideCapsuled: params.get('capsuled') !== 'show'
+  });
+
+  const level = (name) => {
+    const value = Number(params.get(name));
+    return Number.isInteger(value) && value >= 1 && value <= CONSTANTS.ITEM_TYPES.MAX_LEVEL ? value : null;
+  };
+
+  // Older links list single levels (level=7&level=8); they become the range that spans them
+  const levels = params.getAll('level').map(Number)
+    .filter(value => Number.isInteger(value) && value >= 1 && value <= CONSTANTS.ITEM_TYPES.MAX_LEVEL);
+  const hasRange = params.has('minlevel') || params.has('maxlevel');
+
+  appState.typeFilter = {
+    types: params.getAll('type'),
+    subTypes: params.getAll('subtype').map(subType => subType.toUpperCase()),
+    minLevel: hasRange || levels.length === 0 ? level('minlevel') : Math.min(...levels),
+    maxLevel: hasRange || levels.length === 0 ? level('maxlevel') : Math.max(...levels)
+  };
+}
+
+/**
+ * Handles back/forward navigation between URL states
+ */
+function handlePopState() {
+  applyUrlState(window.location.hash);
+
+  // Re-populates the filter menus so they show the restored selection
+  updateFiltersAndRender();
+}
+
+/**
+ * Handles panning and zooming the key map
+ * @param {CustomEvent} event - Map view change event ({view: null} refits)
+ */
+function handleMapViewChange(event) {
+  appState.mapView = event.detail.view;
+  renderCurrentView();
+}
+
+/**
+ * Handles changing the map tile server
+ * @param {CustomEvent} event - Tile URL change event
+ */
+function handleMapTileUrlChange(event) {
+  appState.mapTileUrl = event.detail.tileUrl;
+
+  STORAGE.savePreference('mapTileUrl', appState.mapTileUrl);
+
+  renderCurrentView();
+}
+
+/**
+ * Checks the active snapshot against the warning thresholds and shows the result
+ */
+function refreshWarnings() {
+  const warnings = appState.processedData ?
+    DATA.findCapacityWarnings(appState.processedData.expanded, appState.warningThresholds) :
+    null;
+
+  UI.renderWarnings(warnings, appState.warningThresholds);
+}
+
+/**
+ * Handles changing the capacity warning levels
+ * @param {CustomEvent} event - Warning thresholds change event
+ */
+function handleWarningThresholdsChange(event) {
+  const { inventoryPercent, containerPercent } = event.detail;
+  appState.warningThresholds = { inventoryPercent, containerPercent };
+
+  STORAGE.savePreference('warningThresholds', appState.warningThresholds);
+
+  refreshWarnings();
+  renderCurrentView();
+}
+
+/**
+ * Handles opening a container (or going back to the list)
+ * @param {CustomEvent} event - Container select event
+ */
+function handleContainerSelect(event) {
+  appState.selectedContainerId = event.detail.containerId;
+  renderCurrentView();
+}
+
+/**
+ * Handles a click on an item card: lists every copy in its group
+ * @param {CustomEvent} event - Item detail event {group}
+ */
+function handleItemDetailOpen(event) {
+  if (!appState.processedData) return;
+
+  UI.renderItemDrawer(event.detail.group, {
+    containers: DATA.buildContainerIndex(appState.processedData.expanded)
+  });
+}
+
+/**
+ * Handles picking the snapshots to compare in the diff view
+ * @param {CustomEvent} event - Diff selection change event
+ */
+function handleDiffSelectionChange(event) {
+  const { role, snapshotId } = event.detail;
+
+  if (role === 'base') {
+    appState.diffSelection.baseId = snapshotId;
+  } else {
+    appState.diffSelection.targetId = snapshotId;
   }
+
+  renderCurrentView();
+}
+
+/**
+ * Handles switching the displayed snapshot
+ */
+function handleSnapshotChange() {
+  activateSnapshot(elements.snapshotSelect.value);
 }
 
 /**
  * Clears all inventory data and returns to upload interface
  */
 function clearInventoryData() {
+  cancelLoading('cleared');
+  UI.hideLoadProgress();
+
   // Reset application state
   appState.rawData = null;
   appState.processedData = null;
   appState.fileInfo = null;
-  appState.keySearchQuery = '';
-  appState.keySearchShouldRefocus = false;
-  appState.keySearchSelection = null;
+  appState.snapshots = [];
+  appState.activeSnapshotId = null;
+  appState.view = 'inventory';
+  appState.diffSelection = { baseId: null, targetId: null };
+  appState.mapView = null;
+  appState.selectedContainerId = null;
+  appState.searchQuery = '';
+  appState.searchFilter = null;
+  appState.searchError = '';
+  appState.typeFilter = { types: [], subTypes: [], minLevel: null, maxLevel: null };
+  appState.teamPortalQuery = '';
+  appState.coverageText = '';
 
   // Reset sort configuration
   appState.sortConfig = {
@@ -346,14 +1551,26 @@ function clearInventoryData() {
   const itemsEl = document.getElementById('items');
   if (itemsEl) itemsEl.innerHTML = '';
 
+  const typeFilterEl = document.getElementById('typeFilter');
+  if (typeFilterEl) typeFilterEl.innerHTML = '';
+
+  UI.showView(appState.view);
+  UI.populateSnapshotSelect([], null);
+
   UI.updateTotalCount(0);
   UI.updateSummary('');
+  UI.renderWarnings(null, appState.warningThresholds);
+  UI.renderUnknownTypes(null);
+  UI.renderItemDrawer(null);
 
   // Reset filters
   if (elements.filterRarity) elements.filterRarity.value = '';
+  if (elements.searchInput) elements.searchInput.value = '';
+  updateUrlState(true);
 
   // Return to upload interface
   UI.showUploadInterface();
+  refreshSavedSnapshots();
 }
 
 /**
@@ -364,17 +1581,13 @@ function initializeGeolocation() {
     if (navigator.geolocation) {
       navigator.geolocation.getCurrentPosition(
         (position) => {
-          appState.userLocation = {
+          appState.gpsLocation = {
             lat: position.coords.latitude,
             lon: position.coords.longitude
           };
 
-          // User location acquired for distance calculations
-
-          // Re-render if we have data (for distance calculations)
-          if (appState.processedData) {
-            renderInventory();
-          }
+          // User location acquired for distance calculations (a chosen reference point still wins)
+          applyReferenceLocation();
         },
         (error) => {
           // Geolocation unavailable - distance sorting disabled
@@ -387,6 +1600,117 @@ function initializeGeolocation() {
   }
 }
 
+/**
+ * Validates a reference point, e.g. from a saved preference
+ * @param {Object} point - {name, lat, lon}
+ * @returns {Object|null} Reference point {name, lat, lon}, or null if invalid
+ */
+function readReferencePoint(point) {
+  const lat = Number(point?.lat);
+  const lon = Number(point?.lon);
+  const name = String(point?.name || '').trim();
+
+  if (!name || !isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { name, lat, lon };
+}
+
+/**
+ * Renders the location menu from the current reference point state
+ */
+function refreshLocationMenu() {
+  UI.renderLocationMenu({
+    gpsLocation: appState.gpsLocation,
+    reference: appState.referencePoint,
+    points: appState.referencePoints,
+    error: appState.locationError,
+    persistent: STORAGE.isPersistenceEnabled()
+  });
+}
+
+/**
+ * Measures distances from the reference point, or GPS without one, and re-renders
+ */
+function applyReferenceLocation() {
+  appState.userLocation = appState.referencePoint || appState.gpsLocation;
+  refreshLocationMenu();
+
+  // Re-render if we have data (for distance calculations)
+  if (appState.processedData) {
+    renderCurrentView();
+  }
+}
+
+/**
+ * Works out the reference point typed into the location menu
+ * @param {Object} detail - {text: coordinates or intel link, name, save}
+ * @returns {Object} {point} or {error}
+ */
+function readLocationEntry({ text, name, save }) {
+  let point;
+
+  if (text) {
+    const parsed = IITC.parsePortalList(text);
+    if (!parsed.success) return { error: parsed.error };
+    if (parsed.targets.length > 1) return { error: 'Enter a single location' };
+
+    const [target] = parsed.targets;
+    point = { name: name || target.name, lat: target.lat, lon: target.lon };
+  } else if (save && appState.userLocation) {
+    // Nothing typed: save the location in use (e.g. GPS) under the name
+    point = { ...appState.userLocation, name };
+  } else {
+    return { error: 'Enter coordinates or an Intel link' };
+  }
+
+  if (!point.name) {
+    if (save) return { error: 'Name the location to save it' };
+    point.name = `${point.lat.toFixed(4)}, ${point.lon.toFixed(4)}`;
+  }
+
+  return { point: readReferencePoint(point) };
+}
+
+/**
+ * Handles the location menu and drawer: set, save, pick or delete reference points, or go back to GPS
+ * @param {CustomEvent} event - Location action event
+ */
+function handleLocationAction(event) {
+  const { action, index } = event.detail;
+  appState.locationError = '';
+
+  if (action === 'use') {
+    const { point, error } = readLocationEntry(event.detail);
+    if (error) {
+      appState.locationError = error;
+    } else {
+      appState.referencePoint = point;
+
+      // Saving under an existing name replaces that point
+      if (event.detail.save) {
+        const existing = appState.referencePoints.findIndex(saved => saved.name === point.name);
+        if (existing === -1) {
+          appState.referencePoints = [...appState.referencePoints, point];
+        } else {
+          appState.referencePoints = appState.referencePoints.map((saved, i) => i === existing ? point : saved);
+        }
+      }
+    }
+  } else if (action === 'select') {
+    appState.referencePoint = appState.referencePoints[index] || appState.referencePoint;
+  } else if (action === 'delete') {
+    appState.referencePoints = appState.referencePoints.filter((_, i) => i !== index);
+  } else if (action === 'set') {
+    appState.referencePoint = readReferencePoint(event.detail.point) || appState.referencePoint;
+  } else if (action === 'gps') {
+    appState.referencePoint = null;
+  }
+
+  STORAGE.savePreference('referencePoints', appState.referencePoints);
+  STORAGE.savePreference('referencePoint', appState.referencePoint);
+
+  applyReferenceLocation();
+}
+
 /**
  * Gets current application state (for debugging)
  * @returns {Object} Current app state
@@ -402,6 +1726,7 @@ if (typeof window !== 'undefined') {
   window.APP = {
     getState: getAppState,
     renderInventory,
+    renderCurrentView,
     clearInventoryData
   };
 }
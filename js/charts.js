@@ -0,0 +1,336 @@
+/**
+ * Charts module for the Ingress Inventory Viewer
+ * Plain SVG charts, no charting library.
+ */
+
+/**
+ * Draws a horizontal stacked bar per category, split into levels
+ * @param {Object} summary - Result of DATA.summarizeLevels
+ * @param {Object} options - {width}
+ * @returns {SVGElement} Chart element
+ */
+function renderLevelChart(summary, options = {}) {
+  const {
+    LEVEL_COLORS,
+    BAR_HEIGHT,
+    BAR_GAP,
+    LABEL_WIDTH,
+    TOTAL_WIDTH,
+    LEGEND_HEIGHT,
+    MIN_LABELED_SEGMENT_PX
+  } = CONSTANTS.CHART_CONFIG;
+
+  const { levels, rows } = summary;
+  const width = options.width || 640;
+  const height = LEGEND_HEIGHT + rows.length * (BAR_HEIGHT + BAR_GAP);
+  const barWidth = Math.max(1, width - LABEL_WIDTH - TOTAL_WIDTH);
+
+  // Bars share one scale so categories can be compared by length
+  const maxTotal = Math.max(1, ...rows.map(row => row.total));
+  const scale = barWidth / maxTotal;
+
+  const svg = UTILS.createSvgElement('svg', {
+    class: 'level-chart',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-label': 'Item counts by level'
+  });
+
+  // Legend
+  const legend = UTILS.createSvgElement('g', { class: 'chart-legend' });
+  levels.forEach((level, i) => {
+    const x = LABEL_WIDTH + i * 48;
+    legend.appendChild(UTILS.createSvgElement('rect', {
+      x,
+      y: 6,
+      width: 14,
+      height: 14,
+      rx: 3,
+      fill: LEVEL_COLORS[level] || '#94a3b8'
+    }));
+
+    const label = UTILS.createSvgElement('text', { x: x + 18, y: 17 });
+    label.textContent = `L${level}`;
+    legend.appendChild(label);
+  });
+  svg.appendChild(legend);
+
+  // One bar per category
+  rows.forEach((row, i) => {
+    const y = LEGEND_HEIGHT + i * (BAR_HEIGHT + BAR_GAP);
+    const group = UTILS.createSvgElement('g', { class: 'chart-row' });
+
+    const label = UTILS.createSvgElement('text', {
+      x: LABEL_WIDTH - 8,
+      y: y + BAR_HEIGHT / 2,
+      'text-anchor': 'end',
+      dy: '0.35em'
+    });
+    label.textContent = row.label;
+    group.appendChild(label);
+
+    let x = LABEL_WIDTH;
+    for (const level of levels) {
+      const count = row.counts.get(level) || 0;
+      if (count === 0) continue;
+
+      const segmentWidth = count * scale;
+      const segment = UTILS.createSvgElement('rect', {
+        x,
+        y,
+        width: segmentWidth,
+        height: BAR_HEIGHT,
+        fill: LEVEL_COLORS[level] || '#94a3b8'
+      });
+
+      const title = UTILS.createSvgElement('title');
+      title.textContent = `${row.label} L${level}: ${count}`;
+      segment.appendChild(title);
+      group.appendChild(segment);
+
+      if (segmentWidth >= MIN_LABELED_SEGMENT_PX) {
+        const countLabel = UTILS.createSvgElement('text', {
+          class: 'chart-segment-label',
+          x: x + segmentWidth / 2,
+          y: y + BAR_HEIGHT / 2,
+          'text-anchor': 'middle',
+          dy: '0.35em'
+        });
+        countLabel.textContent = count;
+        group.appendChild(countLabel);
+      }
+
+      x += segmentWidth;
+    }
+
+    const total = UTILS.createSvgElement('text', {
+      class: 'chart-total',
+      x: x + 8,
+      y: y + BAR_HEIGHT / 2,
+      dy: '0.35em'
+    });
+    total.textContent = row.total;
+    group.appendChild(total);
+
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+/**
+ * Shortens a label to fit the label column
+ * @param {string} text - Label
+ * @param {number} maxChars - Longest label kept as is
+ * @returns {string} Label, with an ellipsis if shortened
+ */
+function truncateLabel(text, maxChars) {
+  return text.length > maxChars ? `${text.slice(0, maxChars - 1)}…` : text;
+}
+
+/**
+ * Draws a horizontal bar per row, e.g. item counts per category
+ * @param {Array} rows - [{label, value, color?, title?}]
+ * @param {Object} options - {width}
+ * @returns {SVGElement} Chart element
+ */
+function renderBarChart(rows, options = {}) {
+  const { BAR_HEIGHT, BAR_GAP, LABEL_WIDTH, TOTAL_WIDTH, BAR_COLOR } = CONSTANTS.CHART_CONFIG;
+
+  const width = options.width || 640;
+  const height = Math.max(1, rows.length * (BAR_HEIGHT + BAR_GAP) - BAR_GAP);
+  const barWidth = Math.max(1, width - LABEL_WIDTH - TOTAL_WIDTH);
+  const maxValue = Math.max(1, ...rows.map(row => row.value));
+
+  // Roughly what fits in the label column at 12px
+  const maxLabelChars = Math.floor(LABEL_WIDTH / 7);
+
+  const svg = UTILS.createSvgElement('svg', {
+    class: 'bar-chart',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`
+  });
+
+  rows.forEach((row, i) => {
+    const y = i * (BAR_HEIGHT + BAR_GAP);
+    const group = UTILS.createSvgElement('g', { class: 'chart-row' });
+
+    const title = UTILS.createSvgElement('title');
+    title.textContent = row.title || `${row.label}: ${row.value}`;
+    group.appendChild(title);
+
+    const label = UTILS.createSvgElement('text', {
+      x: LABEL_WIDTH - 8,
+      y: y + BAR_HEIGHT / 2,
+      'text-anchor': 'end',
+      dy: '0.35em'
+    });
+    label.textContent = truncateLabel(row.label, maxLabelChars);
+    group.appendChild(label);
+
+    const length = row.value / maxValue * barWidth;
+    group.appendChild(UTILS.createSvgElement('rect', {
+      x: LABEL_WIDTH,
+      y,
+      width: length,
+      height: BAR_HEIGHT,
+      rx: 3,
+      fill: row.color || BAR_COLOR
+    }));
+
+    const value = UTILS.createSvgElement('text', {
+      class: 'chart-total',
+      x: LABEL_WIDTH + length + 8,
+      y: y + BAR_HEIGHT / 2,
+      dy: '0.35em'
+    });
+    value.textContent = row.value;
+    group.appendChild(value);
+
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+/**
+ * Draws a vertical bar per row, e.g. keys acquired per week; only some axis labels are drawn so they don't overlap
+ * @param {Array} rows - [{label, value, title?}] in axis order
+ * @param {Object} options - {width, label: accessible chart description}
+ * @returns {SVGElement} Chart element
+ */
+function renderHistogram(rows, options = {}) {
+  const { HISTOGRAM_HEIGHT, AXIS_HEIGHT, MIN_AXIS_LABEL_PX, BAR_COLOR } = CONSTANTS.CHART_CONFIG;
+
+  const width = options.width || 640;
+  const height = HISTOGRAM_HEIGHT + AXIS_HEIGHT;
+  const maxValue = Math.max(1, ...rows.map(row => row.value));
+  const slot = width / Math.max(1, rows.length);
+  const labelEvery = Math.ceil(MIN_AXIS_LABEL_PX / slot);
+
+  const svg = UTILS.createSvgElement('svg', {
+    class: 'histogram',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-label': options.label || 'Histogram'
+  });
+
+  // Scale: the tallest bar's value
+  const maxLabel = UTILS.createSvgElement('text', { class: 'chart-total', x: 0, y: 10 });
+  maxLabel.textContent = maxValue;
+  svg.appendChild(maxLabel);
+
+  rows.forEach((row, i) => {
+    const x = i * slot;
+    const group = UTILS.createSvgElement('g', { class: 'chart-row' });
+
+    const title = UTILS.createSvgElement('title');
+    title.textContent = row.title || `${row.label}: ${row.value}`;
+    group.appendChild(title);
+
+    // Full-height hit area, so empty bins still show their tooltip
+    group.appendChild(UTILS.createSvgElement('rect', {
+      x,
+      y: 0,
+      width: slot,
+      height: HISTOGRAM_HEIGHT,
+      fill: 'transparent'
+    }));
+
+    const barHeight = row.value / maxValue * (HISTOGRAM_HEIGHT - 14);
+    group.appendChild(UTILS.createSvgElement('rect', {
+      x: x + Math.min(1, slot * 0.1),
+      y: HISTOGRAM_HEIGHT - barHeight,
+      width: Math.max(1, slot - Math.min(2, slot * 0.2)),
+      height: barHeight,
+      fill: BAR_COLOR
+    }));
+
+    if (i % labelEvery === 0) {
+      const label = UTILS.createSvgElement('text', {
+        x,
+        y: HISTOGRAM_HEIGHT + AXIS_HEIGHT - 5
+      });
+      label.textContent = row.label;
+      group.appendChild(label);
+    }
+
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+/**
+ * Draws a single bar filled to value / capacity, e.g. inventory space used
+ * @param {number} value - Amount used
+ * @param {number} capacity - Total available
+ * @param {Object} options - {width, color}
+ * @returns {SVGElement} Meter element
+ */
+function renderMeter(value, capacity, options = {}) {
+  const { BAR_HEIGHT, BAR_COLOR } = CONSTANTS.CHART_CONFIG;
+
+  const width = options.width || 640;
+  const fraction = capacity > 0 ? Math.min(1, value / capacity) : 0;
+
+  const svg = UTILS.createSvgElement('svg', {
+    class: 'meter',
+    width,
+    height: BAR_HEIGHT,
+    viewBox: `0 0 ${width} ${BAR_HEIGHT}`,
+    role: 'meter',
+    'aria-valuenow': value,
+    'aria-valuemin': 0,
+    'aria-valuemax': capacity
+  });
+
+  svg.appendChild(UTILS.createSvgElement('rect', {
+    class: 'meter-track',
+    width,
+    height: BAR_HEIGHT,
+    rx: BAR_HEIGHT / 2
+  }));
+
+  svg.appendChild(UTILS.createSvgElement('rect', {
+    width: fraction * width,
+    height: BAR_HEIGHT,
+    rx: BAR_HEIGHT / 2,
+    fill: options.color || BAR_COLOR
+  }));
+
+  const label = UTILS.createSvgElement('text', {
+    x: width / 2,
+    y: BAR_HEIGHT / 2,
+    'text-anchor': 'middle',
+    dy: '0.35em'
+  });
+  label.textContent = `${value} / ${capacity}`;
+  svg.appendChild(label);
+
+  return svg;
+}
+
+// Export all chart functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    renderLevelChart,
+    renderBarChart,
+    renderHistogram,
+    renderMeter
+  };
+} else {
+  // Browser environment - attach to window
+  window.CHARTS = {
+    renderLevelChart,
+    renderBarChart,
+    renderHistogram,
+    renderMeter
+  };
+}
@@ -3,7 +3,7 @@
  * Centralizes all magic values and type definitions
  */
 
-// Item Type Classifications
+// Item Type Classifications (each raw type's category is declared in registry.js)
 const ITEM_TYPES = {
   DISPLAY_TYPES: {
     RESONATORS: 'Resonators',
@@ -13,23 +13,24 @@ const ITEM_TYPES = {
     CAPSULES: 'Capsules',
     MODS: 'Mods',
     WEAPONS: 'Weapons',
-    CUBES: 'Cubes'
+    CUBES: 'Cubes',
+    OTHER: 'Other' // Anything not in the item type registry, e.g. items newer than this app
   },
 
-  // Raw resource types mapped to display categories
-  MOD_TYPES: [
-    'EXTRA_SHIELD', 'RES_SHIELD', 'HEATSINK', 'LINK_AMPLIFIER',
-    'MULTIHACK', 'TRANSMUTER_ATTACK', 'TURRET', 'ULTRA_LINK_AMP', 'FORCE_AMP'
-  ],
-
-  WEAPON_TYPES: ['EMP_BURSTER', 'FLIP_CARD', 'ULTRA_STRIKE'],
+  // Highest item level (resonators, weapons, cubes)
+  MAX_LEVEL: 8
+};
 
-  CUBE_TYPES: ['POWER_CUBE', 'BOOSTED_POWER_CUBE'],
+// Agent inventory
+const INVENTORY_CONFIG = {
+  // In-game item cap; keys in key lockers don't count towards it
+  CAPACITY: 2500
+};
 
-  CAPSULE_TYPES: [
-    'CAPSULE', 'KEY_CAPSULE', 'KINETIC_CAPSULE',
-    'QUANTUM_CAPSULE', 'INTEREST_CAPSULE'
-  ]
+// Containers (capsules, key lockers)
+const CONTAINER_CONFIG = {
+  // In-game limit, used when the export doesn't state a capacity
+  DEFAULT_CAPACITY: 100
 };
 
 // Rarity System
@@ -57,27 +58,7 @@ const RARITY = {
 // Sorting Configurations
 const SORT_CONFIG = {
   // Preferred display order for type sections
-  TYPE_ORDER: ['Keys', 'Cubes', 'Weapons', 'Resonators', 'Mods', 'Powerups', 'Capsules', 'Media'],
-
-  // Weapon type ordering
-  WEAPON_ORDER: {
-    'EMP_BURSTER': 0,
-    'ULTRA_STRIKE': 1,
-    'FLIP_CARD': 2
-  },
-
-  // Mod type ordering for consistent display
-  MOD_ORDER: {
-    'RES_SHIELD': 0,
-    'EXTRA_SHIELD': 0,
-    'HEATSINK': 1,
-    'MULTIHACK': 2,
-    'LINK_AMPLIFIER': 3,
-    'TRANSMUTER_ATTACK': 4,
-    'TRANSMUTER_DEFENSE': 4,
-    'TURRET': 5,
-    'FORCE_AMP': 6
-  }
+  TYPE_ORDER: ['Keys', 'Cubes', 'Weapons', 'Resonators', 'Mods', 'Powerups', 'Capsules', 'Media', 'Other']
 };
 
 // UI Configuration
@@ -89,6 +70,29 @@ const UI_CONFIG = {
   // Search debouncing
   SEARCH_DEBOUNCE_MS: 300,
 
+  // Inventory sections only render the cards near the viewport; rows have fixed heights
+  VIRTUAL_LIST: {
+    ROW_HEIGHT: 140,         // Full-size cards (keys)
+    COMPACT_ROW_HEIGHT: 116, // Thumbnail-only cards
+    ROW_GAP: 8,
+    OVERSCAN_ROWS: 6         // Extra rows rendered above and below the viewport
+  },
+
+  // Views selectable from the tab bar once data is loaded
+  VIEWS: [
+    { id: 'inventory', label: 'Inventory' },
+    { id: 'dashboard', label: 'Dashboard' },
+    { id: 'diff', label: 'Diff' },
+    { id: 'map', label: 'Map' },
+    { id: 'levels', label: 'Levels' },
+    { id: 'timeline', label: 'Timeline' },
+    { id: 'recycle', label: 'Recycle' },
+    { id: 'loadout', label: 'Loadout' },
+    { id: 'team', label: 'Team' },
+    { id: 'coverage', label: 'Coverage' },
+    { id: 'containers', label: 'Containers' }
+  ],
+
   // Geolocation settings
   GEOLOCATION_OPTIONS: {
     enableHighAccuracy: true,
@@ -101,13 +105,218 @@ const UI_CONFIG = {
   KM_TO_MILES_FACTOR: 0.621371
 };
 
+// Key Map
+const MAP_CONFIG = {
+  // Optional raster tiles, e.g. 'https://tile.openstreetmap.org/{z}/{x}/{y}.png'.
+  // Empty keeps the map fully offline (grid lines only).
+  TILE_URL: '',
+
+  TILE_SIZE: 256,
+  MAX_LATITUDE: 85.05112878, // Web Mercator limit
+  MIN_ZOOM: 2,
+  MAX_ZOOM: 18,
+  HEIGHT: 520,
+  FIT_PADDING_PX: 40,
+
+  // Markers closer than this (in pixels) are merged into one cluster
+  CLUSTER_RADIUS_PX: 48,
+  MARKER_MIN_RADIUS: 9,
+  MARKER_MAX_RADIUS: 28,
+
+  // Grid line spacing candidates in degrees, finest first
+  GRATICULE_STEPS: [0.001, 0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10, 30],
+  GRATICULE_MIN_SPACING_PX: 80,
+
+  // Cards shown when a cluster is selected
+  MAX_SELECTED_CARDS: 50
+};
+
+// Level distribution chart
+const CHART_CONFIG = {
+  // In-game level colours
+  LEVEL_COLORS: {
+    1: '#fece5a',
+    2: '#ffa630',
+    3: '#ff7315',
+    4: '#e40000',
+    5: '#fd2992',
+    6: '#eb26cd',
+    7: '#c124e0',
+    8: '#9627f4'
+  },
+
+  // Rarity colours, matching the mod diamonds
+  RARITY_COLORS: {
+    'VERY_COMMON': '#94a3b8',
+    'COMMON': '#2dd4bf',
+    'RARE': '#a855f7',
+    'VERY_RARE': '#ec4899'
+  },
+
+  // Bars without a colour of their own
+  BAR_COLOR: '#60a5fa',
+
+  // Chart rows for level-bearing items, in display order; other types follow alphabetically
+  LEVEL_CATEGORIES: {
+    'EMITTER_A': 'Resonators',
+    'EMP_BURSTER': 'XMP Bursters',
+    'ULTRA_STRIKE': 'Ultra Strikes',
+    'POWER_CUBE': 'Power Cubes'
+  },
+
+  BAR_HEIGHT: 28,
+  BAR_GAP: 12,
+  LABEL_WIDTH: 120,
+  TOTAL_WIDTH: 56,
+  LEGEND_HEIGHT: 32,
+
+  // Segments narrower than this (in pixels) are drawn without a count label
+  MIN_LABELED_SEGMENT_PX: 24,
+
+  // Histograms (vertical bars): plot height, axis label row, and the least room per axis label
+  HISTOGRAM_HEIGHT: 160,
+  AXIS_HEIGHT: 20,
+  MIN_AXIS_LABEL_PX: 64
+};
+
+// Dashboard view
+const DASHBOARD_CONFIG = {
+  TOP_KEY_COUNT: 10,
+  CHART_WIDTH: 360
+};
+
+// Capacity warnings
+const WARNING_CONFIG = {
+  // Default thresholds (percent of capacity); users can change them in the warnings panel
+  INVENTORY_PERCENT: 90,
+  CONTAINER_PERCENT: 90,
+
+  // Recycling suggestions per warning, never taken from these sections
+  MAX_SUGGESTIONS: 5,
+  PROTECTED_TYPES: ['Keys', 'Capsules']
+};
+
+// Recycle planner
+const RECYCLE_VALUES = {
+  // Approximate XM recovered per item; check these when the game changes them.
+  // Level-bearing items: XM per level
+  PER_LEVEL: {
+    'EMITTER_A': 20,
+    'EMP_BURSTER': 20,
+    'ULTRA_STRIKE': 20,
+    'POWER_CUBE': 40
+  },
+
+  // Fixed values for particular item types
+  BY_TYPE: {
+    'PORTAL_LINK_KEY': 500,
+    'BOOSTED_POWER_CUBE': 2500
+  },
+
+  // Everything else, by rarity
+  BY_RARITY: {
+    'VERY_COMMON': 100,
+    'COMMON': 250,
+    'RARE': 500,
+    'VERY_RARE': 750
+  },
+
+  DEFAULT: 0,
+
+  // Planner rows for keys set a limit per portal rather than per group
+  KEYS_TARGET_ID: 'Keys|*'
+};
+
+// Export formats offered in the header
+const EXPORT_CONFIG = {
+  FORMATS: {
+    csv: { DELIMITER: ',', EXTENSION: 'csv', MIME_TYPE: 'text/csv;charset=utf-8' },
+    tsv: { DELIMITER: '\t', EXTENSION: 'tsv', MIME_TYPE: 'text/tab-separated-values;charset=utf-8' }
+  },
+
+  // Recycle planner checklist
+  CHECKLIST: { EXTENSION: 'md', MIME_TYPE: 'text/markdown;charset=utf-8' },
+
+  // Loadout template files
+  LOADOUTS: { EXTENSION: 'json', MIME_TYPE: 'application/json' },
+
+  // IITC bookmarks and draw-tools files; markers use draw-tools' default colour
+  IITC: { EXTENSION: 'json', MIME_TYPE: 'application/json', MARKER_COLOR: '#a24ac3' }
+};
+
+// Team view (several agents' exports combined)
+const TEAM_CONFIG = {
+  // Keys are listed per portal, which gets long; the portal search finds the rest
+  MAX_KEY_ROWS: 50
+};
+
+// Key acquisition timeline
+const TIMELINE_CONFIG = {
+  // Histogram bins; week bins start on Monday
+  BINS: ['day', 'week', 'month'],
+  DEFAULT_BIN: 'week',
+
+  // Only the newest bins are drawn, so years of daily bins stay readable
+  MAX_BINS: 120,
+
+  // Portals listed below the histogram
+  MAX_PORTAL_ROWS: 100
+};
+
+// Key coverage report
+const COVERAGE_CONFIG = {
+  // Draw-tools and coordinate lists have no GUIDs; a key portal this close counts as the target
+  MATCH_RADIUS_M: 5
+};
+
+// Op loadout templates
+const LOADOUT_CONFIG = {
+  // Written into exported template files, so imports can tell them apart from inventories
+  FILE_FORMAT: 'ingress-inventory-loadouts',
+  FILE_VERSION: 1,
+
+  // Starting point for a new template; lines use the search box syntax
+  EXAMPLE_TEMPLATE: {
+    name: 'Field op',
+    lines: [
+      { label: 'L8 XMP Bursters', query: 'type:emp_burster level:8', quantity: 200 },
+      { label: 'Ultra Strikes', query: 'type:ultra_strike', quantity: 50 },
+      { label: 'VR Shields', query: 'type:res_shield rarity:vr', quantity: 20 },
+      { label: 'Power Cubes', query: 'type:cubes', quantity: 10 }
+    ]
+  }
+};
+
+// Local persistence (opt-in)
+const STORAGE_CONFIG = {
+  DB_NAME: 'ingress-inventory',
+  DB_VERSION: 1,
+
+  STORES: {
+    SNAPSHOTS: 'snapshots',        // Metadata: name, file name, dates
+    SNAPSHOT_DATA: 'snapshotData'  // Raw inventory JSON keyed by snapshot ID
+  },
+
+  // Prefix for preferences kept in localStorage
+  PREF_PREFIX: 'ingress-inventory:'
+};
+
 // JSON Validation
 const JSON_VALIDATION = {
   // Valid control characters for JSON (tab, newline, carriage return)
   VALID_CONTROL_CHARS: new Set([9, 10, 13]),
 
   // Minimum printable ASCII character
-  MIN_PRINTABLE_CHAR: 32
+  MIN_PRINTABLE_CHAR: 32,
+
+  // Characters cleaned per step, so progress can be reported on large files
+  CLEAN_CHUNK_SIZE: 1048576
+};
+
+// File Loading Configuration
+const PARSER_CONFIG = {
+  // Worker that parses files off the main thread (relative to index.html)
+  WORKER_URL: 'js/parser-worker.js'
 };
 
 // Image Asset Mappings
@@ -115,41 +324,8 @@ const ASSET_PATHS = {
   // Placeholder image
   NO_PHOTO: 'assets/images/no_photo.png',
 
-  // Level-based item templates
-  LEVEL_ITEMS: {
-    'EMP_BURSTER': (level) => `assets/images/XMP_Burster_L${level}.webp`,
-    'ULTRA_STRIKE': (level) => `assets/images/Ultra_Strike_L${level}.webp`,
-    'POWER_CUBE': (level) => `assets/images/Power_Cube_L${level}.webp`,
-    'EMITTER_A': (level) => `assets/images/Resonator_L${level}.webp`
-  },
-
-  // Rarity-based mod templates
-  MOD_ITEMS: {
-    'RES_SHIELD': (rarity) => `assets/images/Portal_Shield_${rarity}.webp`,
-    'HEATSINK': (rarity) => `assets/images/Heat_Sink_${rarity}.webp`,
-    'MULTIHACK': (rarity) => `assets/images/Multi-Hack_${rarity}.webp`,
-    'LINK_AMPLIFIER': (rarity) => `assets/images/Link_Amp_${rarity}.webp`
-  },
-
-  // Special items with fixed paths
-  SPECIAL_ITEMS: {
-    'AEGIS_SHIELD': 'assets/images/Aegis_Shield.webp',
-    'AXA_SHIELD': 'assets/images/AXA_Shield.webp',
-    'ULTRA_LINK_AMP': 'assets/images/SoftBank_Ultra_Link.webp',
-    'FORCE_AMP': 'assets/images/Force_Amp.webp',
-    'TURRET': 'assets/images/Turret.webp',
-    'TRANSMUTER_ATTACK': 'assets/images/ITO_EN_Transmuter_plus.webp',
-    'TRANSMUTER_DEFENSE': 'assets/images/ITO_EN_Transmuter_minus.webp',
-    'CAPSULE': 'assets/images/Capsule_Prime.webp',
-    'KEY_CAPSULE': 'assets/images/Prime-White-Key_Locker.webp',
-    'KINETIC_CAPSULE': 'assets/images/Prime-Kinetic_Capsule.webp',
-    'KINETIC_CAPSULE_RARE': 'assets/images/Prime-Rare_Kinetic_Capsule.webp',
-    'PORTAL_FRACKER': 'assets/images/Portal_Fracker.webp',
-    'APEX': 'assets/images/Apex.webp',
-    'ADA': 'assets/images/ADA_Refactor.webp',
-    'JARVIS': 'assets/images/JARVIS_Virus.webp',
-    'LAWSON_CUBE': 'assets/images/Lawson_Power_Cube.webp'
-  },
+  // Item images; which image each item type uses is declared in registry.js
+  IMAGE_DIR: 'assets/images/',
 
   // Beacon mappings
   BEACONS: {
@@ -198,21 +374,49 @@ if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment
   module.exports = {
     ITEM_TYPES,
+    INVENTORY_CONFIG,
+    CONTAINER_CONFIG,
     RARITY,
     SORT_CONFIG,
     UI_CONFIG,
+    MAP_CONFIG,
+    CHART_CONFIG,
+    DASHBOARD_CONFIG,
+    WARNING_CONFIG,
+    RECYCLE_VALUES,
+    TEAM_CONFIG,
+    TIMELINE_CONFIG,
+    COVERAGE_CONFIG,
+    LOADOUT_CONFIG,
+    EXPORT_CONFIG,
+    STORAGE_CONFIG,
     JSON_VALIDATION,
+    PARSER_CONFIG,
     ASSET_PATHS,
     MOD_VISUALS
   };
 } else {
-  // Browser environment - attach to window
-  window.CONSTANTS = {
+  // Browser environment - attach to the global scope (window, or the parser worker)
+  self.CONSTANTS = {
     ITEM_TYPES,
+    INVENTORY_CONFIG,
+    CONTAINER_CONFIG,
     RARITY,
     SORT_CONFIG,
     UI_CONFIG,
+    MAP_CONFIG,
+    CHART_CONFIG,
+    DASHBOARD_CONFIG,
+    WARNING_CONFIG,
+    RECYCLE_VALUES,
+    TEAM_CONFIG,
+    TIMELINE_CONFIG,
+    COVERAGE_CONFIG,
+    LOADOUT_CONFIG,
+    EXPORT_CONFIG,
+    STORAGE_CONFIG,
     JSON_VALIDATION,
+    PARSER_CONFIG,
     ASSET_PATHS,
     MOD_VISUALS
   };
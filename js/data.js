@@ -3,6 +3,14 @@
  * Handles JSON parsing, item extraction, grouping, filtering, and sorting
  */
 
+// Node.js environment - load the modules the browser provides as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var CONSTANTS = require('./constants');
+  var REGISTRY = require('./registry');
+  var UTILS = require('./utils');
+  var QUERY = require('./query');
+}
+
 /**
  * Extracts nested items from containers (capsules) and flattens inventory structure
  * @param {Array} itemArray - Array of inventory items from IITC export
@@ -84,6 +92,33 @@ function extractNestedItems(itemArray) {
   return expandedItems;
 }
 
+/**
+ * Cleans, parses and validates the text of an inventory export
+ * @param {string} text - File contents
+ * @param {Function} onProgress - Optional, called with (stage, fraction|null) as work proceeds
+ * @returns {Object} {success: boolean, data?: Object, error?: string}
+ */
+function parseInventoryText(text, onProgress = null) {
+  const report = onProgress || (() => {});
+
+  // Clean and parse JSON
+  const cleanedJson = UTILS.cleanJsonString(text, fraction => report('Cleaning JSON', fraction));
+  report('Parsing JSON', null);
+  const parseResult = UTILS.safeJsonParse(cleanedJson);
+
+  if (!parseResult.success) {
+    return { success: false, error: `Invalid JSON file: ${parseResult.error}` };
+  }
+
+  // Validate data structure
+  const validationResult = UTILS.validateInventoryData(parseResult.data);
+  if (!validationResult.isValid) {
+    return { success: false, error: validationResult.error };
+  }
+
+  return { success: true, data: parseResult.data };
+}
+
 /**
  * Processes raw inventory data and returns processed structure
  * @param {Object} rawData - Raw JSON data from file
@@ -99,12 +134,7 @@ function processInventoryData(rawData) {
   let totalCount = expandedData.length;
   try {
     const keyLockerKeyCount = expandedData.reduce((acc, item) => {
-      const meta = item[2] || {};
-      const inKeyLocker = meta._storedIn?.containerType === 'KEY_CAPSULE';
-      const isKey = !!(meta.portalCoupler &&
-                      (meta.portalCoupler.resourceType === 'PORTAL_LINK_KEY' ||
-                       meta.portalCoupler.portalGuid));
-      return acc + (inKeyLocker && isKey ? 1 : 0);
+      return acc + (isKeyLockerKey(item[2] || {}) ? 1 : 0);
     }, 0);
     totalCount = expandedData.length - keyLockerKeyCount;
   } catch (error) {
@@ -118,14 +148,49 @@ function processInventoryData(rawData) {
   };
 }
 
+/**
+ * Groups every shown item and collects the filter options of processed inventory data.
+ * Both only depend on the file, so the parser worker does this once per load.
+ * @param {Object} processedData - Result of processInventoryData
+ * @returns {Object} {typeBuckets: groupItems of every item filterItems shows, filterOptions: populateFilterOptions result}
+ */
+function groupInventory(processedData) {
+  return {
+    typeBuckets: groupItems(filterItems(processedData.expanded, {})),
+    filterOptions: populateFilterOptions(processedData.expanded)
+  };
+}
+
+/**
+ * Checks whether an item is a portal key stored in a key locker (which doesn't use inventory space)
+ * @param {Object} meta - Item metadata
+ * @returns {boolean} True for key-locker keys
+ */
+function isKeyLockerKey(meta) {
+  const inKeyLocker = meta._storedIn?.containerType === 'KEY_CAPSULE';
+  const isKey = !!(meta.portalCoupler &&
+                  (meta.portalCoupler.resourceType === 'PORTAL_LINK_KEY' ||
+                   meta.portalCoupler.portalGuid));
+  return inKeyLocker && isKey;
+}
+
 /**
  * Filters inventory items based on current filter settings
  * @param {Array} items - Expanded inventory items
- * @param {Object} filters - Filter configuration
+ * @param {Object} filters - Filter configuration {rarity, types, subTypes, minLevel, maxLevel, query, userLocation}
+ * @param {Map} containers - Container index for the query's capsule: field, when items is only part of
+ *                           the inventory (e.g. one capsule's contents); defaults to one built from items
  * @returns {Array} Filtered items
  */
-function filterItems(items, filters) {
-  return items.filter(item => {
+function filterItems(items, filters, containers = null) {
+  // Type filter: a selected sub-type (e.g. RES_SHIELD) narrows its type (Mods) to just that sub-type
+  const selectedTypes = new Set(filters.types || []);
+  const selectedSubTypes = new Set(filters.subTypes || []);
+  const narrowedTypes = new Set([...selectedSubTypes].map(rawType => UTILS.getDisplayType(rawType)));
+  const minLevel = filters.minLevel || null;
+  const maxLevel = filters.maxLevel || null;
+
+  const filtered = items.filter(item => {
     const [id, timestamp, meta] = item;
 
     // Always hide Drone items
@@ -138,8 +203,91 @@ function filterItems(items, filters) {
       if (rarity !== filters.rarity) return false;
     }
 
+    // Type and sub-type filter
+    if (selectedTypes.size > 0 || selectedSubTypes.size > 0) {
+      const rawType = REGISTRY.rawTypeOf(meta);
+      const displayType = UTILS.getDisplayType(rawType);
+      const typeMatches = selectedSubTypes.has(rawType) ||
+                          (selectedTypes.has(displayType) && !narrowedTypes.has(displayType));
+      if (!typeMatches) return false;
+    }
+
+    // Level range filter (items without a level never match)
+    if (minLevel || maxLevel) {
+      const level = Number(meta.resourceWithLevels?.level);
+      if (!(level > 0)) return false;
+      if (minLevel && level < minLevel) return false;
+      if (maxLevel && level > maxLevel) return false;
+    }
+
     return true;
   });
+
+  // Search query (parsed by QUERY.parseQuery)
+  if (!filters.query) return filtered;
+
+  const records = buildQueryRecords(groupItems(filtered), containers || buildContainerIndex(items), filters.userLocation);
+  return filtered.filter(item => QUERY.matchesQuery(filters.query, records.get(item)));
+}
+
+/**
+ * Describes grouped items with the fields the search query can filter on
+ * @param {Map} typeBuckets - Grouped items from groupItems
+ * @param {Map} containers - Container index of the full inventory, used to name containers
+ * @param {Object|null} userLocation - Location for distance terms
+ * @returns {Map} Map of item -> record {displayType, rawType, title, address, text, level, rarity, count, ts, storedIn, distanceKm}
+ */
+function buildQueryRecords(typeBuckets, containers, userLocation) {
+  const records = new Map();
+
+  // count: matches the size of the card the item ends up on
+  for (const grouped of typeBuckets.values()) {
+    for (const group of grouped.values()) {
+      for (const entry of group.items) {
+        const { meta } = entry;
+        const rawType = group.gmeta.rawType;
+        const address = meta.portalCoupler?.portalAddress || '';
+
+        let storedIn = null;
+        if (meta._storedIn) {
+          const container = containers.get(meta._storedIn.containerId);
+          storedIn = {
+            containerId: meta._storedIn.containerId,
+            containerType: meta._storedIn.containerType,
+            containerName: container ? container.name : ''
+          };
+        }
+
+        let distanceKm = null;
+        const location = userLocation && meta.portalCoupler?.portalLocation ?
+                         UTILS.decodePortalLocation(meta.portalCoupler.portalLocation) : null;
+        if (location) {
+          distanceKm = UTILS.haversineKm(userLocation.lat, userLocation.lon, location.lat, location.lon);
+        }
+
+        records.set(entry.item, {
+          displayType: group.gmeta.displayType,
+          rawType,
+          title: group.gmeta.title,
+          address,
+          text: [
+            group.gmeta.title,
+            address,
+            group.gmeta.displayType,
+            UTILS.formatResourceType(rawType)
+          ].join(' ').toLowerCase(),
+          level: Number(meta.resourceWithLevels?.level) || 0,
+          rarity: meta.modResource?.rarity || meta.resource?.resourceRarity || '',
+          count: group.items.length,
+          ts: Number(entry.ts) || 0,
+          storedIn,
+          distanceKm
+        });
+      }
+    }
+  }
+
+  return records;
 }
 
 /**
@@ -153,16 +301,12 @@ function groupItems(filteredItems) {
   for (const item of filteredItems) {
     const [id, timestamp, meta] = item;
 
-    const rawType = meta.resourceWithLevels?.resourceType ||
-                   meta.resource?.resourceType ||
-                   meta.modResource?.resourceType;
+    const rawType = REGISTRY.rawTypeOf(meta);
 
     const displayType = UTILS.getDisplayType(rawType);
     const title = UTILS.displayTitle(id, meta);
-
-    // Create unique group key for items that need type differentiation
-    const needsTypeInKey = ['Weapons', 'Cubes', 'Mods'].includes(displayType);
-    const groupKey = needsTypeInKey ? `${title}|${rawType}` : title;
+    const category = REGISTRY.getCategory(displayType);
+    const groupKey = category.groupKey(title, rawType, meta);
 
     // Initialize type bucket if needed
     if (!typeBuckets.has(displayType)) {
@@ -171,23 +315,15 @@ function groupItems(filteredItems) {
 
     const grouped = typeBuckets.get(displayType);
 
-    // Initialize group if needed
+    // Initialize group if needed, with the category's metadata for sorting
     if (!grouped.has(groupKey)) {
-      const gmeta = { displayType, title, level: 0 };
-
-      // Add type-specific metadata for sorting
-      if (displayType === 'Weapons') {
-        gmeta.weaponType = rawType || '';
-        gmeta.level = meta.resourceWithLevels?.level || 0;
-      } else if (displayType === 'Cubes') {
-        gmeta.cubeType = rawType || '';
-        gmeta.level = meta.resourceWithLevels?.level || 0;
-      } else if (displayType === 'Resonators') {
-        gmeta.level = meta.resourceWithLevels?.level || 0;
-      } else if (displayType === 'Mods') {
-        gmeta.modType = rawType || '';
-        gmeta.rarity = meta.modResource?.rarity || '';
-      }
+      const gmeta = {
+        displayType,
+        title,
+        rawType: rawType || '',
+        level: 0,
+        ...category.groupMeta(meta, rawType)
+      };
 
       grouped.set(groupKey, { items: [], gmeta });
     }
@@ -201,11 +337,23 @@ function groupItems(filteredItems) {
     });
   }
 
+  // Count portals per key title so same-named portals can be told apart
+  const keyGroups = typeBuckets.get('Keys');
+  if (keyGroups) {
+    const titleCounts = new Map();
+    for (const { gmeta } of keyGroups.values()) {
+      titleCounts.set(gmeta.title, (titleCounts.get(gmeta.title) || 0) + 1);
+    }
+    for (const { gmeta } of keyGroups.values()) {
+      gmeta.sharedTitleCount = titleCounts.get(gmeta.title);
+    }
+  }
+
   return typeBuckets;
 }
 
 /**
- * Sorts groups within a type section based on type-specific rules
+ * Sorts groups within a type section with its category's comparator from the item type registry
  * @param {Array} entries - Array of [groupKey, groupValue] pairs
  * @param {string} displayType - Type of items being sorted
  * @param {Object} sortConfig - Sorting configuration for keys
@@ -213,100 +361,12 @@ function groupItems(filteredItems) {
  * @returns {Array} Sorted entries
  */
 function sortTypeGroups(entries, displayType, sortConfig = {}, userLocation = null) {
-  const { SORT_CONFIG } = CONSTANTS;
-
   // Keys have special sorting modes
   if (displayType === 'Keys') {
     return sortKeys(entries, sortConfig, userLocation);
   }
 
-  // Weapons: specific type order, then level descending
-  if (displayType === 'Weapons') {
-    return entries.sort((a, b) => {
-      const gmA = a[1].gmeta;
-      const gmB = b[1].gmeta;
-
-      const orderA = SORT_CONFIG.WEAPON_ORDER[gmA.weaponType] ?? 9;
-      const orderB = SORT_CONFIG.WEAPON_ORDER[gmB.weaponType] ?? 9;
-
-      if (orderA !== orderB) return orderA - orderB;
-
-      const levelA = gmA.level || 0;
-      const levelB = gmB.level || 0;
-      if (levelA !== levelB) return levelB - levelA;
-
-      const titleA = a[0].split('|')[0];
-      const titleB = b[0].split('|')[0];
-      return titleA.localeCompare(titleB);
-    });
-  }
-
-  // Resonators: sort by level (L8 -> L1)
-  if (displayType === 'Resonators') {
-    return entries.sort((a, b) => {
-      const levelA = a[1].gmeta.level || 0;
-      const levelB = b[1].gmeta.level || 0;
-      return levelB - levelA;
-    });
-  }
-
-  // Cubes: sort by type then by level (highest first)
-  if (displayType === 'Cubes') {
-    return entries.sort((a, b) => {
-      const typeA = a[1].gmeta.cubeType || '';
-      const typeB = b[1].gmeta.cubeType || '';
-      if (typeA !== typeB) return typeA.localeCompare(typeB);
-
-      const levelA = a[1].gmeta.level || 0;
-      const levelB = b[1].gmeta.level || 0;
-      return levelB - levelA;
-    });
-  }
-
-  // Mods: specific type order, then rarity (VR > R > C)
-  if (displayType === 'Mods') {
-    return entries.sort((a, b) => {
-      const typeA = a[1].gmeta.modType || '';
-      const typeB = b[1].gmeta.modType || '';
-
-      const orderA = SORT_CONFIG.MOD_ORDER[typeA] ?? 9;
-      const orderB = SORT_CONFIG.MOD_ORDER[typeB] ?? 9;
-      if (orderA !== orderB) return orderA - orderB;
-
-      const rarityA = a[1].gmeta.rarity || '';
-      const rarityB = b[1].gmeta.rarity || '';
-      const rarityOrderA = CONSTANTS.RARITY.SORT_ORDER[rarityB] || 0;
-      const rarityOrderB = CONSTANTS.RARITY.SORT_ORDER[rarityA] || 0;
-
-      if (rarityOrderA !== rarityOrderB) return rarityOrderA - rarityOrderB;
-
-      if (typeA !== typeB) return typeA.localeCompare(typeB);
-
-      const titleA = a[0].split('|')[0];
-      const titleB = b[0].split('|')[0];
-      return titleA.localeCompare(titleB);
-    });
-  }
-
-  // Powerups: sort by count (most -> least), then by title
-  if (displayType === 'Powerups') {
-    return entries.sort((a, b) => {
-      const countA = a[1].items.length;
-      const countB = b[1].items.length;
-      if (countA !== countB) return countB - countA;
-
-      const titleA = a[0].split('|')[0];
-      const titleB = b[0].split('|')[0];
-      return titleA.localeCompare(titleB);
-    });
-  }
-
-  // Default: alphabetical by title
-  return entries.sort((a, b) => {
-    const titleA = a[0].split('|')[0];
-    const titleB = b[0].split('|')[0];
-    return titleA.localeCompare(titleB);
-  });
+  return entries.sort(REGISTRY.getCategory(displayType).compare);
 }
 
 /**
@@ -360,24 +420,28 @@ function sortKeys(entries, sortConfig, userLocation) {
     });
   }
 
-  // Default: alphabetical
+  // Default: alphabetical, same-named portals by address
   return entries.sort((a, b) => {
     const titleA = a[0].split('|')[0];
     const titleB = b[0].split('|')[0];
-    return directions.alpha === 'desc' ?
-           titleB.localeCompare(titleA) :
-           titleA.localeCompare(titleB);
+    const order = titleA.localeCompare(titleB) ||
+                  (a[1].gmeta.address || '').localeCompare(b[1].gmeta.address || '');
+    return directions.alpha === 'desc' ? -order : order;
   });
 }
 
 /**
  * Populates filter dropdown options based on available items
  * @param {Array} expandedData - All inventory items
- * @returns {Object} Filter options {types: Set, rarities: Set}
+ * @returns {Object} Filter options {types: Set, rarities: Set, typeCounts: Map<displayType, number>,
+ *                   subTypeCounts: Map<displayType, Map<rawType, number>>, levelCounts: Map<level, number>}
  */
 function populateFilterOptions(expandedData) {
   const types = new Set();
   const rarities = new Set();
+  const typeCounts = new Map();
+  const subTypeCounts = new Map();
+  const levelCounts = new Map();
 
   for (const item of expandedData) {
     const meta = item[2] || {};
@@ -386,7 +450,21 @@ function populateFilterOptions(expandedData) {
     if (resource?.resourceType) {
       // Exclude Drone from type sections
       if (resource.resourceType === 'DRONE') continue;
-      types.add(UTILS.getDisplayType(resource.resourceType));
+
+      const displayType = UTILS.getDisplayType(resource.resourceType);
+      types.add(displayType);
+      typeCounts.set(displayType, (typeCounts.get(displayType) || 0) + 1);
+
+      if (!subTypeCounts.has(displayType)) {
+        subTypeCounts.set(displayType, new Map());
+      }
+      const subTypes = subTypeCounts.get(displayType);
+      subTypes.set(resource.resourceType, (subTypes.get(resource.resourceType) || 0) + 1);
+    }
+
+    const level = Number(meta.resourceWithLevels?.level);
+    if (level > 0) {
+      levelCounts.set(level, (levelCounts.get(level) || 0) + 1);
     }
 
     if (resource?.resourceRarity) {
@@ -398,7 +476,971 @@ function populateFilterOptions(expandedData) {
     }
   }
 
-  return { types, rarities };
+  return { types, rarities, typeCounts, subTypeCounts, levelCounts };
+}
+
+/**
+ * Counts level-bearing items (resonators, weapons, cubes) per category and level
+ * @param {Array} items - Inventory items, usually already filtered
+ * @param {boolean} hideCapsuled - Leave out items stored in capsules
+ * @returns {Object} {levels: Array<number> ascending, rows: Array<{rawType, label, counts: Map<level, number>, total}>}
+ */
+function summarizeLevels(items, hideCapsuled = false) {
+  const { LEVEL_CATEGORIES } = CONSTANTS.CHART_CONFIG;
+  const rowsByType = new Map();
+  const levels = new Set();
+
+  for (const item of items) {
+    const meta = item[2] || {};
+    const level = Number(meta.resourceWithLevels?.level);
+    if (!(level > 0)) continue;
+    if (hideCapsuled && UTILS.isCapsuled(meta)) continue;
+
+    const rawType = meta.resourceWithLevels.resourceType;
+    if (!rowsByType.has(rawType)) {
+      rowsByType.set(rawType, {
+        rawType,
+        label: LEVEL_CATEGORIES[rawType] || UTILS.formatResourceType(rawType),
+        counts: new Map(),
+        total: 0
+      });
+    }
+
+    const row = rowsByType.get(rawType);
+    row.counts.set(level, (row.counts.get(level) || 0) + 1);
+    row.total++;
+    levels.add(level);
+  }
+
+  // Known categories first, in their configured order, then anything new alphabetically
+  const categoryOrder = Object.keys(LEVEL_CATEGORIES);
+  const rank = (rawType) => {
+    const index = categoryOrder.indexOf(rawType);
+    return index === -1 ? categoryOrder.length : index;
+  };
+
+  const rows = [...rowsByType.values()].sort((a, b) =>
+    rank(a.rawType) - rank(b.rawType) || a.label.localeCompare(b.label));
+
+  return { levels: [...levels].sort((a, b) => a - b), rows };
+}
+
+/**
+ * Aggregates items for the dashboard
+ * @param {Array} items - Inventory items, usually already filtered
+ * @returns {Object} {itemCount, spaceUsed, byType: Map, byRarity: Map, storage: {loose, capsules, keyLockers},
+ *                   levels: summarizeLevels result, topKeys: Array<{title, address, count}>}
+ */
+function summarizeInventory(items) {
+  const { TYPE_ORDER } = CONSTANTS.SORT_CONFIG;
+  const byType = new Map();
+  const byRarity = new Map();
+  const storage = { loose: 0, capsules: 0, keyLockers: 0 };
+  const keys = new Map();
+  let spaceUsed = 0;
+
+  for (const item of items) {
+    const meta = item[2] || {};
+
+    if (!isKeyLockerKey(meta)) spaceUsed++;
+
+    const rawType = meta.portalCoupler ? 'PORTAL_LINK_KEY' : REGISTRY.rawTypeOf(meta);
+    const displayType = UTILS.getDisplayType(rawType);
+    byType.set(displayType, (byType.get(displayType) || 0) + 1);
+
+    const rarity = meta.resource?.resourceRarity || meta.modResource?.rarity;
+    if (rarity) {
+      byRarity.set(rarity, (byRarity.get(rarity) || 0) + 1);
+    }
+
+    const containerType = meta._storedIn?.containerType;
+    if (!containerType) {
+      storage.loose++;
+    } else if (containerType === 'KEY_CAPSULE') {
+      storage.keyLockers++;
+    } else {
+      storage.capsules++;
+    }
+
+    // Keys per portal, wherever they are stored
+    if (meta.portalCoupler) {
+      const { portalGuid, portalTitle, portalAddress } = meta.portalCoupler;
+      const keyId = portalGuid || portalTitle;
+      if (!keys.has(keyId)) {
+        keys.set(keyId, { title: portalTitle || 'Unknown portal', address: portalAddress || '', count: 0 });
+      }
+      keys.get(keyId).count++;
+    }
+  }
+
+  // Types in section order, anything else after them by count
+  const rank = (displayType) => {
+    const index = TYPE_ORDER.indexOf(displayType);
+    return index === -1 ? TYPE_ORDER.length : index;
+  };
+  const sortedTypes = new Map([...byType.entries()].sort((a, b) =>
+    rank(a[0]) - rank(b[0]) || b[1] - a[1]));
+
+  const sortedRarities = new Map([...byRarity.entries()].sort((a, b) =>
+    (CONSTANTS.RARITY.SORT_ORDER[a[0]] || 0) - (CONSTANTS.RARITY.SORT_ORDER[b[0]] || 0)));
+
+  const topKeys = [...keys.values()]
+    .sort((a, b) => b.count - a.count || a.title.localeCompare(b.title))
+    .slice(0, CONSTANTS.DASHBOARD_CONFIG.TOP_KEY_COUNT);
+
+  return {
+    itemCount: items.length,
+    spaceUsed,
+    byType: sortedTypes,
+    byRarity: sortedRarities,
+    storage,
+    levels: summarizeLevels(items),
+    topKeys
+  };
+}
+
+/**
+ * Finds items of types this app doesn't recognize (shown in the "Other" section)
+ * @param {Array} items - Expanded inventory items
+ * @returns {Array} [{rawType, items}] per unrecognized type, most common first; rawType is '' for items without one
+ */
+function findUnknownTypes(items) {
+  const byType = new Map();
+
+  for (const item of items) {
+    const meta = item[2] || {};
+    const rawType = REGISTRY.rawTypeOf(meta) || '';
+
+    // Drones are hidden on purpose, not unrecognized
+    if (rawType === 'DRONE') continue;
+    if (UTILS.getDisplayType(rawType) !== CONSTANTS.ITEM_TYPES.DISPLAY_TYPES.OTHER) continue;
+
+    if (!byType.has(rawType)) byType.set(rawType, []);
+    byType.get(rawType).push(item);
+  }
+
+  return [...byType.entries()]
+    .map(([rawType, typeItems]) => ({ rawType, items: typeItems }))
+    .sort((a, b) => b.items.length - a.items.length || a.rawType.localeCompare(b.rawType));
+}
+
+/**
+ * Builds a lookup of container items (capsules, key lockers) by ID
+ * @param {Array} items - Expanded inventory items
+ * @returns {Map} Map of containerId -> {id, type, name}
+ */
+function buildContainerIndex(items) {
+  const containers = new Map();
+
+  for (const item of items) {
+    const [id, timestamp, meta] = item;
+    if (!meta?.container) continue;
+
+    const type = meta.resource?.resourceType || 'CONTAINER';
+    const name = meta.moniker?.differentiator || id.slice(0, 8);
+    containers.set(id, { id, type, name });
+  }
+
+  return containers;
+}
+
+/**
+ * Collects every container with the items stored in it
+ * @param {Array} items - Expanded inventory items
+ * @returns {Array} Containers {id, type, name, rarity, meta, capacity, contents}, sorted by type and name
+ */
+function collectContainers(items) {
+  const containers = new Map();
+
+  for (const [id, timestamp, meta] of items) {
+    if (!meta?.container || containers.has(id)) continue;
+
+    containers.set(id, {
+      id,
+      type: meta.resource?.resourceType || 'CONTAINER',
+      name: meta.moniker?.differentiator || id.slice(0, 8),
+      rarity: meta.resource?.resourceRarity || '',
+      meta,
+      capacity: meta.container.currentCapacity || CONSTANTS.CONTAINER_CONFIG.DEFAULT_CAPACITY,
+      contents: []
+    });
+  }
+
+  for (const item of items) {
+    const containerId = item[2]?._storedIn?.containerId;
+    if (containerId && containers.has(containerId)) {
+      containers.get(containerId).contents.push(item);
+    }
+  }
+
+  return Array.from(containers.values()).sort((a, b) =>
+    a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Suggests groups to recycle from to free a number of slots, taking from the biggest groups first
+ * so they come down to an even level (the excess of each group over that level).
+ * Only the largest MAX_SUGGESTIONS groups are levelled, so the suggestions add up to the excess
+ * unless those groups hold too little between them.
+ * @param {Array} items - Items to choose from
+ * @param {number} excess - Slots to free
+ * @returns {Array} Suggestions [{label, displayType, count, recycle}], largest first
+ */
+function suggestRecycling(items, excess) {
+  const { PROTECTED_TYPES, MAX_SUGGESTIONS } = CONSTANTS.WARNING_CONFIG;
+  if (excess <= 0) return [];
+
+  const groups = [];
+  for (const [displayType, groupMap] of groupItems(items)) {
+    if (PROTECTED_TYPES.includes(displayType)) continue;
+    for (const { items: groupItemList, gmeta } of groupMap.values()) {
+      groups.push({ label: describeGroup(gmeta), displayType, count: groupItemList.length });
+    }
+  }
+  groups.sort((a, b) => b.count - a.count);
+  groups.splice(MAX_SUGGESTIONS);
+
+  const excessOver = (level) => groups.reduce((sum, group) => sum + Math.max(0, group.count - level), 0);
+
+  // Highest level that still frees enough (0 if even recycling everything isn't enough)
+  let low = 0;
+  let high = groups.length > 0 ? groups[0].count : 0;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (excessOver(mid) >= excess) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const suggestions = groups
+    .filter(group => group.count > low)
+    .map(group => ({ ...group, recycle: group.count - low }));
+
+  // Levelling can overshoot; give the smallest groups one back each until it doesn't
+  let overshoot = suggestions.reduce((sum, s) => sum + s.recycle, 0) - excess;
+  for (let i = suggestions.length - 1; i >= 0 && overshoot > 0; i--) {
+    suggestions[i].recycle--;
+    overshoot--;
+  }
+
+  return suggestions.filter(s => s.recycle > 0);
+}
+
+/**
+ * Checks inventory space and container fill against warning thresholds
+ * @param {Array} items - All expanded inventory items (not filtered)
+ * @param {Object} thresholds - {inventoryPercent, containerPercent}
+ * @returns {Object} {inventory: {used, capacity, limit, free, excess, suggestions},
+ *                   containers: Array<{container, used, limit, excess, suggestions}>} (containers over their limit only)
+ */
+function findCapacityWarnings(items, thresholds) {
+  const capacity = CONSTANTS.INVENTORY_CONFIG.CAPACITY;
+  const limit = Math.floor(capacity * thresholds.inventoryPercent / 100);
+
+  // Keys in key lockers don't take inventory slots, so they're not counted or suggested
+  const countedItems = items.filter(item => !isKeyLockerKey(item[2] || {}));
+  const used = countedItems.length;
+  const excess = Math.max(0, used - limit);
+
+  const containers = collectContainers(items)
+    .map(container => {
+      const containerLimit = Math.floor(container.capacity * thresholds.containerPercent / 100);
+      const containerExcess = Math.max(0, container.contents.length - containerLimit);
+      return {
+        container,
+        used: container.contents.length,
+        limit: containerLimit,
+        excess: containerExcess,
+        suggestions: containerExcess > 0 ? suggestRecycling(container.contents, containerExcess) : []
+      };
+    })
+    .filter(warning => warning.excess > 0);
+
+  return {
+    inventory: {
+      used,
+      capacity,
+      limit,
+      free: Math.max(0, capacity - used),
+      excess,
+      suggestions: suggestRecycling(countedItems, excess)
+    },
+    containers
+  };
+}
+
+/**
+ * Estimates the XM recovered by recycling an item
+ * @param {Object} meta - Item metadata
+ * @returns {number} XM (see CONSTANTS.RECYCLE_VALUES)
+ */
+function recycleValue(meta) {
+  const { PER_LEVEL, BY_TYPE, BY_RARITY, DEFAULT } = CONSTANTS.RECYCLE_VALUES;
+  const rawType = meta.portalCoupler ? 'PORTAL_LINK_KEY' : REGISTRY.rawTypeOf(meta);
+  const level = Number(meta.resourceWithLevels?.level);
+
+  if (PER_LEVEL[rawType] && level > 0) return PER_LEVEL[rawType] * level;
+  if (BY_TYPE[rawType] !== undefined) return BY_TYPE[rawType];
+
+  const rarity = meta.modResource?.rarity || meta.resource?.resourceRarity;
+  return BY_RARITY[rarity] !== undefined ? BY_RARITY[rarity] : DEFAULT;
+}
+
+/**
+ * Picks copies of a group, loose ones first, then capsules, then key lockers
+ * @param {Array} items - Group items ({meta, ...})
+ * @param {number} count - How many to pick
+ * @returns {Array} Picked group items
+ */
+function pickLooseFirst(items, count) {
+  const storageRank = (meta) => {
+    const containerType = meta._storedIn?.containerType;
+    if (!containerType) return 0;
+    return containerType === 'KEY_CAPSULE' ? 2 : 1;
+  };
+
+  return [...items]
+    .sort((a, b) => storageRank(a.meta) - storageRank(b.meta))
+    .slice(0, count);
+}
+
+/**
+ * Counts group items per storage location
+ * @param {Array} items - Group items ({meta, ...})
+ * @param {Map} containers - Container index from buildContainerIndex
+ * @returns {Map} Storage label (see describeStorage) -> count
+ */
+function countByStorage(items, containers) {
+  const storage = new Map();
+  for (const { meta } of items) {
+    const label = describeStorage(meta._storedIn || null, containers);
+    storage.set(label, (storage.get(label) || 0) + 1);
+  }
+  return storage;
+}
+
+/**
+ * Picks which copies of a group to recycle (see pickLooseFirst)
+ * @param {Array} items - Group items ({meta, ...})
+ * @param {number} count - How many to recycle
+ * @param {Map} containers - Container index from buildContainerIndex
+ * @returns {Object} {slotsFreed, xm, storage: Map<storage label, count>}
+ */
+function pickRecycledItems(items, count, containers) {
+  const picked = pickLooseFirst(items, count);
+  let slotsFreed = 0;
+  let xm = 0;
+
+  for (const { meta } of picked) {
+    // Keys in key lockers don't take a slot, so recycling them frees none
+    if (!isKeyLockerKey(meta)) slotsFreed++;
+    xm += recycleValue(meta);
+  }
+
+  return { slotsFreed, xm, storage: countByStorage(picked, containers) };
+}
+
+/**
+ * Works out what to recycle to bring each group down to its target quantity
+ * @param {Map} typeBuckets - Grouped items from groupItems
+ * @param {Object} targets - Quantities to keep, by target ID (`displayType|groupKey`, or
+ *                           RECYCLE_VALUES.KEYS_TARGET_ID for a per-portal key limit); groups without one keep everything
+ * @param {Map} containers - Container index from buildContainerIndex
+ * @returns {Object} {rows: Array<{id, displayType, label, held, keep, recycle, slotsFreed, xm, picks}>,
+ *                   totals: {recycle, slotsFreed, xm}}
+ */
+function planRecycling(typeBuckets, targets, containers) {
+  const { KEYS_TARGET_ID } = CONSTANTS.RECYCLE_VALUES;
+  const { TYPE_ORDER } = CONSTANTS.SORT_CONFIG;
+  const rows = [];
+
+  const hasTarget = (id) => targets[id] !== undefined && targets[id] !== null;
+
+  const displayTypes = [...typeBuckets.keys()].sort((a, b) => {
+    const ia = TYPE_ORDER.indexOf(a);
+    const ib = TYPE_ORDER.indexOf(b);
+    return (ia === -1 ? TYPE_ORDER.length : ia) - (ib === -1 ? TYPE_ORDER.length : ib) || a.localeCompare(b);
+  });
+
+  for (const displayType of displayTypes) {
+    const groups = [...typeBuckets.get(displayType).entries()];
+
+    // Keys: one row with a limit per portal, picks listed per portal
+    if (displayType === 'Keys') {
+      const keep = hasTarget(KEYS_TARGET_ID) ? targets[KEYS_TARGET_ID] : null;
+      const row = {
+        id: KEYS_TARGET_ID,
+        displayType,
+        label: 'Keys per portal',
+        held: 0,
+        keep,
+        recycle: 0,
+        slotsFreed: 0,
+        xm: 0,
+        picks: []
+      };
+
+      for (const [, { items, gmeta }] of groups) {
+        row.held += items.length;
+        const recycle = keep === null ? 0 : Math.max(0, items.length - keep);
+        if (recycle === 0) continue;
+
+        const picked = pickRecycledItems(items, recycle, containers);
+        row.recycle += recycle;
+        row.slotsFreed += picked.slotsFreed;
+        row.xm += picked.xm;
+        row.picks.push({ label: describeGroup(gmeta), count: recycle, storage: picked.storage });
+      }
+
+      row.picks.sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+      rows.push(row);
+      continue;
+    }
+
+    const sortedGroups = sortTypeGroups(groups, displayType);
+    for (const [groupKey, { items, gmeta }] of sortedGroups) {
+      const id = `${displayType}|${groupKey}`;
+      const keep = hasTarget(id) ? targets[id] : null;
+      const recycle = keep === null ? 0 : Math.max(0, items.length - keep);
+      const label = describeGroup(gmeta);
+      const picked = pickRecycledItems(items, recycle, containers);
+
+      rows.push({
+        id,
+        displayType,
+        label,
+        held: items.length,
+        keep,
+        recycle,
+        slotsFreed: picked.slotsFreed,
+        xm: picked.xm,
+        picks: recycle > 0 ? [{ label, count: recycle, storage: picked.storage }] : []
+      });
+    }
+  }
+
+  const totals = rows.reduce((sum, row) => ({
+    recycle: sum.recycle + row.recycle,
+    slotsFreed: sum.slotsFreed + row.slotsFreed,
+    xm: sum.xm + row.xm
+  }), { recycle: 0, slotsFreed: 0, xm: 0 });
+
+  return { rows, totals };
+}
+
+/**
+ * Validates loadout templates, e.g. from an imported file
+ * @param {*} data - Parsed JSON: a loadout file ({templates}), an array of templates or a single template
+ * @returns {Object} {success: boolean, templates?: Array<{name, lines: Array<{label, query, quantity}>}>, error?: string}
+ */
+function parseLoadoutTemplates(data) {
+  const list = Array.isArray(data) ? data :
+               Array.isArray(data?.templates) ? data.templates :
+               data && typeof data === 'object' ? [data] : null;
+
+  if (!list || list.length === 0) {
+    return { success: false, error: 'No loadout templates found' };
+  }
+
+  const templates = [];
+  for (const [i, template] of list.entries()) {
+    const name = typeof template?.name === 'string' ? template.name.trim() : '';
+    if (!name) {
+      return { success: false, error: `Template ${i + 1} has no name` };
+    }
+    if (!Array.isArray(template.lines)) {
+      return { success: false, error: `Template "${name}" has no lines` };
+    }
+
+    const lines = [];
+    for (const [j, line] of template.lines.entries()) {
+      const quantity = Number(line?.quantity);
+      if (typeof line?.query !== 'string' || !Number.isInteger(quantity) || quantity < 0) {
+        return { success: false, error: `Line ${j + 1} of "${name}" needs a query and a whole quantity` };
+      }
+      lines.push({
+        label: typeof line.label === 'string' ? line.label : '',
+        query: line.query,
+        quantity
+      });
+    }
+
+    templates.push({ name, lines });
+  }
+
+  return { success: true, templates };
+}
+
+/**
+ * Compares the inventory with a loadout template
+ *
+ * Lines are filled in order, and an item only counts towards the first line that needs it,
+ * so "type:weapons" after "type:emp_burster level:8" doesn't count the same bursters twice.
+ * Items are taken loose first, then from capsules (see pickLooseFirst).
+ * @param {Map} typeBuckets - Grouped items from groupItems
+ * @param {Object} template - Loadout template {name, lines: [{label, query, quantity}]}
+ * @param {Map} containers - Container index from buildContainerIndex
+ * @returns {Object} {lines: Array<{label, query, quantity, held, allocated, shortfall, surplus,
+ *                   storage: Map<storage label, count>, error}>, totals: {quantity, allocated, shortfall}}
+ */
+function compareLoadout(typeBuckets, template, containers) {
+  // No location: dist: terms never match in a loadout
+  const records = buildQueryRecords(typeBuckets, containers, null);
+  const allocated = new Set();
+
+  const lines = template.lines.map(line => {
+    const result = {
+      label: line.label || line.query,
+      query: line.query,
+      quantity: line.quantity,
+      held: 0,
+      allocated: 0,
+      shortfall: line.quantity,
+      surplus: 0,
+      storage: new Map(),
+      error: null
+    };
+
+    const parsed = QUERY.parseQuery(line.query);
+    if (!parsed.success || !parsed.query) {
+      result.error = parsed.error || 'Enter a search query for this line';
+      return result;
+    }
+
+    const matching = [];
+    for (const grouped of typeBuckets.values()) {
+      for (const group of grouped.values()) {
+        for (const entry of group.items) {
+          if (allocated.has(entry.item)) continue;
+          if (QUERY.matchesQuery(parsed.query, records.get(entry.item))) {
+            matching.push(entry);
+          }
+        }
+      }
+    }
+
+    const picked = pickLooseFirst(matching, line.quantity);
+    picked.forEach(entry => allocated.add(entry.item));
+
+    result.held = matching.length;
+    result.allocated = picked.length;
+    result.shortfall = line.quantity - picked.length;
+    result.surplus = matching.length - picked.length;
+    result.storage = countByStorage(picked, containers);
+    return result;
+  });
+
+  const totals = lines.reduce((sum, line) => ({
+    quantity: sum.quantity + line.quantity,
+    allocated: sum.allocated + line.allocated,
+    shortfall: sum.shortfall + line.shortfall
+  }), { quantity: 0, allocated: 0, shortfall: 0 });
+
+  return { lines, totals };
+}
+
+/**
+ * Formats where an item is stored
+ * @param {Object|null} storedIn - _storedIn metadata of the item
+ * @param {Map} containers - Container index from buildContainerIndex
+ * @returns {string} Storage label
+ */
+function describeStorage(storedIn, containers) {
+  if (!storedIn) return 'Inventory';
+
+  const container = containers.get(storedIn.containerId);
+  const typeLabel = UTILS.formatResourceType(storedIn.containerType);
+  return `${typeLabel} ${container ? container.name : storedIn.containerId.slice(0, 8)}`;
+}
+
+/**
+ * Selects the sections and groups the inventory view displays
+ * @param {Map} typeBuckets - Grouped inventory data from groupItems
+ * @param {Object} options - {filters, sortConfig, userLocation}
+ * @returns {Array} Sections {displayType, entries, totalCount} in display order
+ */
+function selectVisibleSections(typeBuckets, options = {}) {
+  const {
+    filters = {},
+    sortConfig = {},
+    userLocation = null
+  } = options;
+
+  const sections = [];
+
+  for (const displayType of CONSTANTS.SORT_CONFIG.TYPE_ORDER) {
+    if (!typeBuckets.has(displayType)) continue;
+
+    // Sort entries based on type-specific rules
+    const entries = sortTypeGroups(
+      Array.from(typeBuckets.get(displayType).entries()),
+      displayType,
+      sortConfig,
+      userLocation
+    );
+
+    // Apply hide capsuled filter
+    const displayedEntries = entries.filter(([key, groupValue]) => {
+      return !filters.hideCapsuled ||
+             groupValue.items.some(item => !UTILS.isCapsuled(item.meta));
+    });
+
+    if (displayedEntries.length === 0) continue;
+
+    sections.push({
+      displayType,
+      entries: displayedEntries,
+      totalCount: entries.reduce((sum, entry) => sum + entry[1].items.length, 0)
+    });
+  }
+
+  return sections;
+}
+
+/**
+ * Produces a readable label for a group, adding the item type or portal address where the title alone is ambiguous
+ * @param {Object} gmeta - Group metadata from groupItems
+ * @returns {string} Group label
+ */
+function describeGroup(gmeta) {
+  if (REGISTRY.getCategory(gmeta.displayType).typedTitles && gmeta.rawType) {
+    return `${UTILS.formatResourceType(gmeta.rawType)} ${gmeta.title}`;
+  }
+  if (gmeta.sharedTitleCount > 1 && gmeta.address) {
+    return `${gmeta.title} (${gmeta.address})`;
+  }
+  return gmeta.title;
+}
+
+/**
+ * Combines several agents' inventories into one set of groups, keeping a count per agent
+ * @param {Array} members - Agents and their (filtered) items [{agent, items}]
+ * @returns {Object} {agents: Array<string>, buckets: Map of displayType -> Map<groupKey, {items, gmeta, byAgent}>},
+ *                   where byAgent maps agent name -> count; buckets work with selectVisibleSections
+ */
+function aggregateTeam(members) {
+  const buckets = new Map();
+
+  for (const { agent, items } of members) {
+    for (const [displayType, grouped] of groupItems(items)) {
+      if (!buckets.has(displayType)) {
+        buckets.set(displayType, new Map());
+      }
+      const combined = buckets.get(displayType);
+
+      for (const [groupKey, group] of grouped) {
+        if (!combined.has(groupKey)) {
+          combined.set(groupKey, { items: [], gmeta: { ...group.gmeta }, byAgent: new Map() });
+        }
+        const entry = combined.get(groupKey);
+        entry.items.push(...group.items);
+        entry.byAgent.set(agent, (entry.byAgent.get(agent) || 0) + group.items.length);
+      }
+    }
+  }
+
+  // Same-named portals are counted across the team, not per agent
+  const keyGroups = buckets.get('Keys');
+  if (keyGroups) {
+    const titleCounts = new Map();
+    for (const { gmeta } of keyGroups.values()) {
+      titleCounts.set(gmeta.title, (titleCounts.get(gmeta.title) || 0) + 1);
+    }
+    for (const { gmeta } of keyGroups.values()) {
+      gmeta.sharedTitleCount = titleCounts.get(gmeta.title);
+    }
+  }
+
+  return { agents: members.map(member => member.agent), buckets };
+}
+
+/**
+ * Finds the team's keys for portals whose title or address contains some text
+ * @param {Object} team - Result of aggregateTeam
+ * @param {string} text - Portal title or address to look for
+ * @returns {Array} Key groups [{groupKey, gmeta, total, byAgent}], most keys first
+ */
+function findKeyHolders(team, text) {
+  const needle = text.trim().toLowerCase();
+  if (!needle) return [];
+
+  const holders = [];
+  for (const [groupKey, group] of team.buckets.get('Keys') || new Map()) {
+    const { title, address = '' } = group.gmeta;
+    if (title.toLowerCase().includes(needle) || address.toLowerCase().includes(needle)) {
+      holders.push({ groupKey, gmeta: group.gmeta, total: group.items.length, byAgent: group.byAgent });
+    }
+  }
+
+  return holders.sort((a, b) => b.total - a.total || a.gmeta.title.localeCompare(b.gmeta.title));
+}
+
+/**
+ * Checks which target portals we hold keys for, e.g. the anchors of a planned field
+ *
+ * Targets with a GUID (bookmarks) match by GUID; the rest match the nearest key portal
+ * within COVERAGE_CONFIG.MATCH_RADIUS_M, since draw-tools and pasted lists only have coordinates.
+ * @param {Map} typeBuckets - Grouped items from groupItems
+ * @param {Array} targets - Target portals [{name, lat, lon, guid}] (see IITC.parsePortalList)
+ * @param {Map} containers - Container index from buildContainerIndex
+ * @returns {Object} {rows: Array<{target, gmeta, count, storage: Map<storage label, count>}>,
+ *                   totals: {targets, covered, missing, keys}}; gmeta is null for missing portals
+ */
+function checkKeyCoverage(typeBuckets, targets, containers) {
+  const maxKm = CONSTANTS.COVERAGE_CONFIG.MATCH_RADIUS_M / 1000;
+
+  const portals = [];
+  for (const group of (typeBuckets.get('Keys') || new Map()).values()) {
+    const location = UTILS.decodePortalLocation(group.items[0].meta.portalCoupler?.portalLocation);
+    portals.push({ group, location });
+  }
+
+  const findPortal = (target) => {
+    if (target.guid) {
+      const byGuid = portals.find(portal => portal.group.gmeta.portalGuid === target.guid);
+      if (byGuid) return byGuid;
+    }
+
+    let nearest = null;
+    let nearestKm = maxKm;
+    for (const portal of portals) {
+      if (!portal.location) continue;
+      const km = UTILS.haversineKm(target.lat, target.lon, portal.location.lat, portal.location.lon);
+      if (km <= nearestKm) {
+        nearest = portal;
+        nearestKm = km;
+      }
+    }
+    return nearest;
+  };
+
+  const rows = targets.map(target => {
+    const portal = findPortal(target);
+    return {
+      target,
+      gmeta: portal ? portal.group.gmeta : null,
+      count: portal ? portal.group.items.length : 0,
+      storage: portal ? countByStorage(portal.group.items, containers) : new Map()
+    };
+  });
+
+  const covered = rows.filter(row => row.count > 0);
+  return {
+    rows,
+    totals: {
+      targets: rows.length,
+      covered: covered.length,
+      missing: rows.length - covered.length,
+      keys: covered.reduce((sum, row) => sum + row.count, 0)
+    }
+  };
+}
+
+/**
+ * Gets the start of the local day, week (from Monday) or month containing a time
+ * @param {number} ms - Timestamp in milliseconds
+ * @param {string} bin - 'day' | 'week' | 'month'
+ * @returns {number} Start of the bin in milliseconds
+ */
+function startOfBin(ms, bin) {
+  const date = new Date(ms);
+  date.setHours(0, 0, 0, 0);
+
+  if (bin === 'week') date.setDate(date.getDate() - (date.getDay() + 6) % 7);
+  if (bin === 'month') date.setDate(1);
+
+  return date.getTime();
+}
+
+/**
+ * Gets the start of the bin a number of bins after (or before) one; by calendar, so DST changes don't shift bins
+ * @param {number} start - Start of a bin from startOfBin
+ * @param {string} bin - 'day' | 'week' | 'month'
+ * @param {number} steps - Bins to move, negative to go back
+ * @returns {number} Start of that bin in milliseconds
+ */
+function nextBinStart(start, bin, steps = 1) {
+  const date = new Date(start);
+
+  if (bin === 'month') {
+    date.setMonth(date.getMonth() + steps);
+  } else {
+    date.setDate(date.getDate() + steps * (bin === 'week' ? 7 : 1));
+  }
+
+  return date.getTime();
+}
+
+/**
+ * Counts the bins from one bin start up to (not including) a later one
+ * @param {number} from - Earlier bin start
+ * @param {number} to - Later bin start
+ * @param {string} bin - 'day' | 'week' | 'month'
+ * @returns {number} Number of bins
+ */
+function countBins(from, to, bin) {
+  const a = new Date(from);
+  const b = new Date(to);
+
+  if (bin === 'month') {
+    return (b.getFullYear() - a.getFullYear()) * 12 + b.getMonth() - a.getMonth();
+  }
+
+  // Rounded, since a DST change makes one day an hour short or long
+  return Math.round((to - from) / 86400000 / (bin === 'week' ? 7 : 1));
+}
+
+/**
+ * Summarizes when keys were acquired: copies per day, week or month, and each portal's first and last copy
+ * @param {Map} typeBuckets - Grouped inventory data from groupItems
+ * @param {Object} options - {bin: 'day'|'week'|'month', staleDays: flag portals not refreshed in this many days (null for none), now}
+ * @returns {Object} {bins: [{start, end, count}] oldest first, clippedBins: older bins left out,
+ *                   portals: [{gmeta, count, first, last, stale}] stalest first,
+ *                   totals: {keys, undated: copies without a time or with one after now, portals, stalePortals, staleKeys}}
+ */
+function summarizeKeyTimeline(typeBuckets, options = {}) {
+  const { MAX_BINS } = CONSTANTS.TIMELINE_CONFIG;
+  const { bin = CONSTANTS.TIMELINE_CONFIG.DEFAULT_BIN, staleDays = null, now = Date.now() } = options;
+  const staleBefore = staleDays > 0 ? now - staleDays * 86400000 : null;
+
+  const counts = new Map();
+  const portals = [];
+  const totals = { keys: 0, undated: 0, portals: 0, stalePortals: 0, staleKeys: 0 };
+
+  for (const { items, gmeta } of (typeBuckets.get('Keys') || new Map()).values()) {
+    let first = 0;
+    let last = 0;
+
+    for (const { ts } of items) {
+      // A time in the future is as unusable as none
+      const time = Number(ts) || 0;
+      if (time <= 0 || time > now) {
+        totals.undated++;
+        continue;
+      }
+
+      const start = startOfBin(time, bin);
+      counts.set(start, (counts.get(start) || 0) + 1);
+      first = first ? Math.min(first, time) : time;
+      last = Math.max(last, time);
+    }
+
+    // Portals with no dated copy can't be called stale
+    const stale = staleBefore !== null && last > 0 && last < staleBefore;
+    portals.push({ gmeta, count: items.length, first: first || null, last: last || null, stale });
+
+    totals.keys += items.length;
+    totals.portals++;
+    if (stale) {
+      totals.stalePortals++;
+      totals.staleKeys += items.length;
+    }
+  }
+
+  // Every bin from the first copy to the last, so quiet weeks show as gaps; only the newest MAX_BINS
+  // are built, since one very old timestamp would otherwise mean stepping through decades of days
+  const bins = [];
+  let clippedBins = 0;
+  if (counts.size > 0) {
+    const firstStart = Math.min(...counts.keys());
+    const lastStart = Math.max(...counts.keys());
+    const windowStart = Math.max(firstStart, nextBinStart(lastStart, bin, 1 - MAX_BINS));
+    clippedBins = countBins(firstStart, windowStart, bin);
+
+    for (let start = windowStart; start <= lastStart; start = nextBinStart(start, bin)) {
+      bins.push({ start, end: nextBinStart(start, bin), count: counts.get(start) || 0 });
+    }
+  }
+
+  // Undated portals go last, since their age is unknown
+  portals.sort((a, b) => (a.last || Infinity) - (b.last || Infinity) || a.gmeta.title.localeCompare(b.gmeta.title));
+
+  return { bins, clippedBins, portals, totals };
+}
+
+/**
+ * Compares two inventories group by group
+ * @param {Array} baseItems - Filtered items of the older snapshot
+ * @param {Array} targetItems - Filtered items of the newer snapshot
+ * @returns {Object} {changes: Map<displayType, Array>, moved: Array, gained: number, lost: number}
+ */
+function diffInventories(baseItems, targetItems) {
+  const baseBuckets = groupItems(baseItems);
+  const targetBuckets = groupItems(targetItems);
+  const displayTypes = new Set([...baseBuckets.keys(), ...targetBuckets.keys()]);
+
+  const changes = new Map();
+  let gained = 0;
+  let lost = 0;
+
+  for (const displayType of displayTypes) {
+    const baseGroups = baseBuckets.get(displayType) || new Map();
+    const targetGroups = targetBuckets.get(displayType) || new Map();
+    const groupKeys = new Set([...baseGroups.keys(), ...targetGroups.keys()]);
+    const rows = [];
+
+    for (const groupKey of groupKeys) {
+      const baseGroup = baseGroups.get(groupKey);
+      const targetGroup = targetGroups.get(groupKey);
+      const before = baseGroup ? baseGroup.items.length : 0;
+      const after = targetGroup ? targetGroup.items.length : 0;
+
+      if (before === after) continue;
+
+      const row = {
+        groupKey,
+        gmeta: (targetGroup || baseGroup).gmeta,
+        items: (targetGroup || baseGroup).items,
+        before,
+        after,
+        gained: Math.max(0, after - before),
+        lost: Math.max(0, before - after)
+      };
+
+      gained += row.gained;
+      lost += row.lost;
+      rows.push(row);
+    }
+
+    if (rows.length > 0) {
+      changes.set(displayType, rows);
+    }
+  }
+
+  // Keys keep their GUID when moved, so compare where each copy is stored
+  const locateKeys = (buckets) => {
+    const located = new Map();
+    for (const group of (buckets.get('Keys') || new Map()).values()) {
+      for (const entry of group.items) {
+        // Prefer the capsuled copy when an item appears both loose and in a container
+        if (!located.has(entry.id) || entry.meta._storedIn) {
+          located.set(entry.id, { entry, gmeta: group.gmeta });
+        }
+      }
+    }
+    return located;
+  };
+
+  const baseKeys = locateKeys(baseBuckets);
+  const targetKeys = locateKeys(targetBuckets);
+  const moved = [];
+
+  for (const [id, { entry, gmeta }] of targetKeys) {
+    const previous = baseKeys.get(id);
+    if (!previous) continue;
+
+    const from = previous.entry.meta._storedIn || null;
+    const to = entry.meta._storedIn || null;
+    if ((from?.containerId || null) !== (to?.containerId || null)) {
+      moved.push({ id, gmeta, from, to });
+    }
+  }
+
+  moved.sort((a, b) => a.gmeta.title.localeCompare(b.gmeta.title));
+
+  return { changes, moved, gained, lost };
 }
 
 // Export all data processing functions
@@ -406,22 +1448,62 @@ if (typeof module !== 'undefined' && module.exports) {
   // Node.js environment
   module.exports = {
     extractNestedItems,
+    parseInventoryText,
     processInventoryData,
+    groupInventory,
     filterItems,
     groupItems,
     sortTypeGroups,
     sortKeys,
-    populateFilterOptions
+    populateFilterOptions,
+    findUnknownTypes,
+    summarizeLevels,
+    summarizeInventory,
+    buildContainerIndex,
+    collectContainers,
+    findCapacityWarnings,
+    recycleValue,
+    planRecycling,
+    parseLoadoutTemplates,
+    compareLoadout,
+    describeStorage,
+    selectVisibleSections,
+    describeGroup,
+    diffInventories,
+    aggregateTeam,
+    findKeyHolders,
+    checkKeyCoverage,
+    summarizeKeyTimeline
   };
 } else {
-  // Browser environment - attach to window
-  window.DATA = {
+  // Browser environment - attach to the global scope (window, or the parser worker)
+  self.DATA = {
     extractNestedItems,
+    parseInventoryText,
     processInventoryData,
+    groupInventory,
     filterItems,
     groupItems,
     sortTypeGroups,
     sortKeys,
-    populateFilterOptions
+    populateFilterOptions,
+    findUnknownTypes,
+    summarizeLevels,
+    summarizeInventory,
+    buildContainerIndex,
+    collectContainers,
+    findCapacityWarnings,
+    recycleValue,
+    planRecycling,
+    parseLoadoutTemplates,
+    compareLoadout,
+    describeStorage,
+    selectVisibleSections,
+    describeGroup,
+    diffInventories,
+    aggregateTeam,
+    findKeyHolders,
+    checkKeyCoverage,
+    summarizeKeyTimeline
   };
 }
\ No newline at end of file
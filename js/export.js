@@ -0,0 +1,178 @@
+/**
+ * Export module for the Ingress Inventory Viewer
+ * Serializes the grouped, filtered inventory for spreadsheets, recycle plans as checklists
+ * and loadout templates as shareable JSON files
+ */
+
+// Node.js environment - load the modules the browser provides as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var CONSTANTS = require('./constants');
+  var UTILS = require('./utils');
+  var DATA = require('./data');
+}
+
+// Column headers, in output order
+const EXPORT_COLUMNS = [
+  'Display Type',
+  'Title',
+  'Resource Type',
+  'Level',
+  'Rarity',
+  'Count',
+  'Capsule Location',
+  'Portal Address',
+  'Latitude',
+  'Longitude',
+  'Last Acquired'
+];
+
+/**
+ * Summarizes where the items of a group are stored
+ * @param {Array} items - Group items
+ * @param {Map} containers - Container index from DATA.buildContainerIndex
+ * @returns {string} e.g. "Inventory ×2; Key Capsule LOCKER01 ×3"
+ */
+function summarizeStorage(items, containers) {
+  const counts = new Map();
+
+  for (const item of items) {
+    const label = DATA.describeStorage(item.meta._storedIn || null, containers);
+    counts.set(label, (counts.get(label) || 0) + 1);
+  }
+
+  return Array.from(counts.entries())
+    .map(([label, count]) => `${label} ×${count}`)
+    .join('; ');
+}
+
+/**
+ * Builds one row per displayed group
+ * @param {Array} sections - Visible sections from DATA.selectVisibleSections
+ * @param {Map} containers - Container index from DATA.buildContainerIndex
+ * @returns {Array<Array>} Rows of cell values, header row first
+ */
+function buildExportRows(sections, containers) {
+  const rows = [EXPORT_COLUMNS];
+
+  for (const { displayType, entries } of sections) {
+    for (const [groupKey, { items, gmeta }] of entries) {
+      // Newest copy stands in for the group, like on the cards
+      const representative = items.reduce((newest, item) =>
+        Number(item.ts) > Number(newest.ts) ? item : newest, items[0]);
+      const meta = representative.meta;
+
+      const location = meta.portalCoupler?.portalLocation ?
+                       UTILS.decodePortalLocation(meta.portalCoupler.portalLocation) : null;
+      const lastTs = items.reduce((max, item) => Math.max(max, Number(item.ts) || 0), 0);
+
+      rows.push([
+        displayType,
+        gmeta.title,
+        gmeta.rawType,
+        gmeta.level || meta.resourceWithLevels?.level || '',
+        meta.modResource?.rarity || meta.resource?.resourceRarity || '',
+        items.length,
+        summarizeStorage(items, containers),
+        meta.portalCoupler?.portalAddress || '',
+        location ? location.lat.toFixed(6) : '',
+        location ? location.lon.toFixed(6) : '',
+        lastTs > 0 ? new Date(lastTs).toISOString() : ''
+      ]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Guards text cells against being run as spreadsheet formulas
+ * @param {string} text - Cell text
+ * @returns {string} Text, prefixed with an apostrophe if it looks like a formula
+ */
+function neutralizeFormula(text) {
+  const looksNumeric = text.trim() !== '' && isFinite(Number(text));
+  return !looksNumeric && /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Serializes rows as CSV or TSV
+ * @param {Array<Array>} rows - Rows of cell values
+ * @param {string} format - 'csv' | 'tsv'
+ * @returns {string} Delimited text
+ */
+function toDelimited(rows, format) {
+  const { DELIMITER } = CONSTANTS.EXPORT_CONFIG.FORMATS[format];
+
+  const formatCell = (value) => {
+    const text = neutralizeFormula(String(value ?? ''));
+
+    // TSV has no quoting, so flatten tabs and line breaks
+    if (format === 'tsv') {
+      return text.replace(/[\t\r\n]+/g, ' ');
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return rows.map(row => row.map(formatCell).join(DELIMITER)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes a recycle plan as a Markdown checklist
+ * @param {Object} plan - Result of DATA.planRecycling
+ * @param {string} title - Heading, e.g. the file name
+ * @returns {string} Checklist text
+ */
+function buildRecycleChecklist(plan, title) {
+  const { totals } = plan;
+  const lines = [
+    `# Recycle plan: ${title}`,
+    '',
+    `${totals.recycle} items · frees ${totals.slotsFreed} slots · about ${totals.xm.toLocaleString('en-US')} XM`,
+    ''
+  ];
+
+  for (const row of plan.rows) {
+    for (const pick of row.picks) {
+      const storage = Array.from(pick.storage.entries())
+        .map(([label, count]) => `${label} ×${count}`)
+        .join('; ');
+      lines.push(`- [ ] ${row.displayType} · ${pick.label} ×${pick.count} (${storage})`);
+    }
+  }
+
+  if (totals.recycle === 0) {
+    lines.push('Nothing to recycle: no group is above its target.');
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Writes loadout templates as a JSON file for sharing (read back by DATA.parseLoadoutTemplates)
+ * @param {Array} templates - Templates [{name, lines: [{label, query, quantity}]}]
+ * @returns {string} JSON text
+ */
+function buildLoadoutFile(templates) {
+  const { FILE_FORMAT, FILE_VERSION } = CONSTANTS.LOADOUT_CONFIG;
+  return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, templates }, null, 2) + '\n';
+}
+
+// Export all export functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    buildExportRows,
+    toDelimited,
+    buildRecycleChecklist,
+    buildLoadoutFile
+  };
+} else {
+  // Browser environment - attach to window
+  window.EXPORT = {
+    buildExportRows,
+    toDelimited,
+    buildRecycleChecklist,
+    buildLoadoutFile
+  };
+}
@@ -0,0 +1,256 @@
+/**
+ * IITC module for the Ingress Inventory Viewer
+ * Reads portal lists shared by IITC plugins (draw-tools, bookmarks) or pasted as coordinates,
+ * and writes key groups back out in the same formats.
+ */
+
+// Node.js environment - load the modules the browser provides as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var CONSTANTS = require('./constants');
+  var UTILS = require('./utils');
+  var DATA = require('./data');
+}
+
+/**
+ * Builds a target portal, or null if the coordinates are out of range
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {string} name - Portal name, if known
+ * @param {string} guid - Portal GUID, if known
+ * @returns {Object|null} Target {name, lat, lon, guid}
+ */
+function createTarget(lat, lon, name = '', guid = '') {
+  if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { name, lat, lon, guid };
+}
+
+/**
+ * Reads the portals of IITC draw-tools JSON: polygon and polyline vertices, and markers
+ * @param {Array} layers - Draw-tools layers [{type, latLngs?, latLng?}]
+ * @returns {Array} Targets
+ */
+function readDrawTools(layers) {
+  const targets = [];
+
+  for (const layer of layers) {
+    // Circles are usually ranges rather than portals, so only their centre could matter; skip them
+    if (layer?.type === 'marker' && layer.latLng) {
+      targets.push(createTarget(Number(layer.latLng.lat), Number(layer.latLng.lng)));
+    } else if ((layer?.type === 'polygon' || layer?.type === 'polyline') && Array.isArray(layer.latLngs)) {
+      for (const point of layer.latLngs) {
+        targets.push(createTarget(Number(point?.lat), Number(point?.lng)));
+      }
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Reads the portals of IITC bookmarks JSON ({maps, portals: {folderId: {bkmrk: {id: {guid, latlng, label}}}}})
+ * @param {Object} bookmarks - Bookmarks data
+ * @returns {Array} Targets
+ */
+function readBookmarks(bookmarks) {
+  const targets = [];
+
+  for (const folder of Object.values(bookmarks.portals || {})) {
+    for (const bookmark of Object.values(folder?.bkmrk || {})) {
+      const [lat, lon] = String(bookmark?.latlng || '').split(',').map(Number);
+      targets.push(createTarget(lat, lon, bookmark?.label || '', bookmark?.guid || ''));
+    }
+  }
+
+  return targets;
+}
+
+/**
+ * Reads one portal per line from "lat,lon" text; the rest of the line is the name.
+ * Intel portal links work too.
+ * @param {string} text - Pasted lines
+ * @returns {Object} {targets, skipped: number of non-empty lines without coordinates}
+ */
+function readCoordinateLines(text) {
+  const targets = [];
+  let skipped = 0;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+
+    // In intel links the portal is pll=, not the map centre ll=
+    const match = line.match(/pll=(-?\d{1,2}(?:\.\d+)?),(-?\d{1,3}(?:\.\d+)?)/) ||
+                  line.match(/(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)/);
+    const target = match ? createTarget(Number(match[1]), Number(match[2])) : null;
+    if (!target) {
+      skipped++;
+      continue;
+    }
+
+    // Intel links carry nothing but the coordinates
+    if (!/^\s*https?:/i.test(line)) {
+      target.name = line.replace(match[0], ' ').replace(/^[\s,;|:\t-]+|[\s,;|:\t-]+$/g, '');
+    }
+    targets.push(target);
+  }
+
+  return { targets, skipped };
+}
+
+/**
+ * Parses a list of target portals in any of the supported formats
+ * @param {string} text - Draw-tools JSON, bookmarks JSON, or one "lat,lon [name]" per line
+ * @returns {Object} {success: boolean, format?: 'drawtools'|'bookmarks'|'coordinates', targets?: Array, skipped?: number, error?: string}
+ */
+function parsePortalList(text) {
+  const input = (text || '').trim();
+  if (!input) return { success: false, error: 'Paste draw-tools or bookmarks JSON, or one lat,lon per line' };
+
+  let format = 'coordinates';
+  let targets;
+  let skipped = 0;
+
+  if (/^[[{]/.test(input)) {
+    let data;
+    try {
+      data = JSON.parse(input);
+    } catch (error) {
+      return { success: false, error: `Invalid JSON: ${error.message}` };
+    }
+
+    if (Array.isArray(data)) {
+      format = 'drawtools';
+      targets = readDrawTools(data);
+    } else if (data && typeof data.portals === 'object') {
+      format = 'bookmarks';
+      targets = readBookmarks(data);
+    } else {
+      return { success: false, error: 'Not draw-tools or bookmarks JSON' };
+    }
+  } else {
+    ({ targets, skipped } = readCoordinateLines(input));
+  }
+
+  // Shapes share vertices, so the same portal turns up several times
+  const seen = new Map();
+  for (const target of targets) {
+    if (!target) {
+      skipped++;
+      continue;
+    }
+    const key = `${target.lat.toFixed(6)},${target.lon.toFixed(6)}`;
+    const existing = seen.get(key);
+    if (!existing) {
+      seen.set(key, target);
+    } else if (!existing.name && target.name) {
+      existing.name = target.name;
+    }
+  }
+
+  if (seen.size === 0) {
+    return { success: false, error: 'No portal coordinates found' };
+  }
+
+  return { success: true, format, targets: [...seen.values()], skipped };
+}
+
+/**
+ * Collects the portal coordinates of key groups, skipping keys without a location
+ * @param {Array} entries - Key group entries [groupKey, {items, gmeta}] (e.g. a section from DATA.selectVisibleSections)
+ * @returns {Array} Portals [{guid, latlng: "lat,lng", label, items}]
+ */
+function collectKeyPortals(entries) {
+  const portals = [];
+
+  for (const [, { items, gmeta }] of entries) {
+    const location = UTILS.decodePortalLocation(items[0].meta.portalCoupler?.portalLocation);
+    if (!location) continue;
+
+    portals.push({
+      guid: gmeta.portalGuid || '',
+      latlng: `${location.lat.toFixed(6)},${location.lon.toFixed(6)}`,
+      label: gmeta.title,
+      items
+    });
+  }
+
+  return portals;
+}
+
+/**
+ * Writes key groups as IITC Bookmarks plugin JSON
+ * @param {Array} entries - Key group entries [groupKey, {items, gmeta}]
+ * @param {Object} options - {folders: 'capsule' (a folder per storage location) | 'single',
+ *                           folderName: label of the single folder, containers: index from DATA.buildContainerIndex}
+ * @returns {string} JSON text for the plugin's import
+ */
+function buildBookmarks(entries, options = {}) {
+  const { folders = 'single', folderName = 'Keys', containers = new Map() } = options;
+
+  // The plugin expects its default "Others" folders to exist
+  const data = {
+    maps: { idOthers: { label: 'Others', state: 1, bkmrk: {} } },
+    portals: { idOthers: { label: 'Others', state: 1, bkmrk: {} } }
+  };
+
+  const folderIds = new Map();
+  const folderFor = (label) => {
+    if (!folderIds.has(label)) {
+      const id = `idFolder${folderIds.size + 1}`;
+      folderIds.set(label, id);
+      data.portals[id] = { label, state: 1, bkmrk: {} };
+    }
+    return data.portals[folderIds.get(label)];
+  };
+
+  let bookmarkCount = 0;
+  for (const portal of collectKeyPortals(entries)) {
+    // A portal with keys in several places is bookmarked in each of their folders
+    const labels = folders === 'capsule' ?
+      new Set(portal.items.map(item => DATA.describeStorage(item.meta._storedIn || null, containers))) :
+      new Set([folderName]);
+
+    for (const label of labels) {
+      bookmarkCount++;
+      folderFor(label).bkmrk[`idKey${bookmarkCount}`] = {
+        guid: portal.guid,
+        latlng: portal.latlng,
+        label: portal.label
+      };
+    }
+  }
+
+  return JSON.stringify(data, null, 2) + '\n';
+}
+
+/**
+ * Writes key groups as IITC draw-tools markers
+ * @param {Array} entries - Key group entries [groupKey, {items, gmeta}]
+ * @returns {string} JSON text for draw-tools' import
+ */
+function buildDrawToolsMarkers(entries) {
+  const { MARKER_COLOR } = CONSTANTS.EXPORT_CONFIG.IITC;
+
+  const markers = collectKeyPortals(entries).map(portal => {
+    const [lat, lng] = portal.latlng.split(',').map(Number);
+    return { type: 'marker', latLng: { lat, lng }, color: MARKER_COLOR };
+  });
+
+  return JSON.stringify(markers) + '\n';
+}
+
+// Export all IITC functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    parsePortalList,
+    buildBookmarks,
+    buildDrawToolsMarkers
+  };
+} else {
+  // Browser environment - attach to window
+  window.IITC = {
+    parsePortalList,
+    buildBookmarks,
+    buildDrawToolsMarkers
+  };
+}
@@ -0,0 +1,349 @@
+/**
+ * Map module for the Ingress Inventory Viewer
+ * Web Mercator projection, marker clustering and SVG rendering for the key map.
+ * Works offline by default; map tiles are only fetched when a tile URL is configured.
+ */
+
+/**
+ * Projects a coordinate to world pixel space at a zoom level (Web Mercator)
+ * @param {number} lat - Latitude
+ * @param {number} lon - Longitude
+ * @param {number} zoom - Zoom level
+ * @returns {Object} {x: number, y: number} in pixels
+ */
+function project(lat, lon, zoom) {
+  const { TILE_SIZE, MAX_LATITUDE } = CONSTANTS.MAP_CONFIG;
+  const worldSize = TILE_SIZE * Math.pow(2, zoom);
+
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const sinLat = Math.sin(clampedLat * Math.PI / 180);
+
+  return {
+    x: (lon + 180) / 360 * worldSize,
+    y: (0.5 - Math.log((1 + sinLat) / (1 - sinLat)) / (4 * Math.PI)) * worldSize
+  };
+}
+
+/**
+ * Converts world pixel space back to a coordinate
+ * @param {number} x - X in pixels
+ * @param {number} y - Y in pixels
+ * @param {number} zoom - Zoom level
+ * @returns {Object} {lat: number, lon: number}
+ */
+function unproject(x, y, zoom) {
+  const worldSize = CONSTANTS.MAP_CONFIG.TILE_SIZE * Math.pow(2, zoom);
+  const n = Math.PI - 2 * Math.PI * y / worldSize;
+
+  return {
+    lat: 180 / Math.PI * Math.atan(Math.sinh(n)),
+    lon: x / worldSize * 360 - 180
+  };
+}
+
+/**
+ * Builds map points from grouped key entries
+ * @param {Array} entries - Array of [groupKey, groupValue] pairs from the Keys bucket
+ * @returns {Array} Points {groupKey, groupValue, lat, lon, count}
+ */
+function collectKeyPoints(entries) {
+  const points = [];
+
+  for (const [groupKey, groupValue] of entries) {
+    const located = groupValue.items.find(item => item.meta?.portalCoupler?.portalLocation);
+    if (!located) continue;
+
+    const location = UTILS.decodePortalLocation(located.meta.portalCoupler.portalLocation);
+    if (!location) continue;
+
+    points.push({
+      groupKey,
+      groupValue,
+      lat: location.lat,
+      lon: location.lon,
+      count: groupValue.items.length
+    });
+  }
+
+  return points;
+}
+
+/**
+ * Groups points that fall within the same grid cell at a zoom level
+ * @param {Array} points - Points from collectKeyPoints
+ * @param {number} zoom - Zoom level
+ * @returns {Array} Clusters {lat, lon, count, points}
+ */
+function clusterPoints(points, zoom) {
+  const cellSize = CONSTANTS.MAP_CONFIG.CLUSTER_RADIUS_PX;
+  const cells = new Map();
+
+  for (const point of points) {
+    const { x, y } = project(point.lat, point.lon, zoom);
+    const cellKey = `${Math.floor(x / cellSize)}:${Math.floor(y / cellSize)}`;
+
+    if (!cells.has(cellKey)) {
+      cells.set(cellKey, { points: [], count: 0, latSum: 0, lonSum: 0 });
+    }
+
+    const cell = cells.get(cellKey);
+    cell.points.push(point);
+    cell.count += point.count;
+    cell.latSum += point.lat * point.count;
+    cell.lonSum += point.lon * point.count;
+  }
+
+  // Place each cluster at the key-weighted centre of its portals
+  return Array.from(cells.values()).map(cell => ({
+    lat: cell.latSum / cell.count,
+    lon: cell.lonSum / cell.count,
+    count: cell.count,
+    points: cell.points
+  }));
+}
+
+/**
+ * Finds the centre and zoom that fit all points in a viewport
+ * @param {Array} points - Points with lat/lon
+ * @param {number} width - Viewport width in pixels
+ * @param {number} height - Viewport height in pixels
+ * @returns {Object} {lat, lon, zoom}
+ */
+function fitView(points, width, height) {
+  const { MIN_ZOOM, MAX_ZOOM, FIT_PADDING_PX } = CONSTANTS.MAP_CONFIG;
+
+  if (points.length === 0) {
+    return { lat: 0, lon: 0, zoom: MIN_ZOOM };
+  }
+
+  const lats = points.map(p => p.lat);
+  const lons = points.map(p => p.lon);
+  const bounds = {
+    north: Math.max(...lats),
+    south: Math.min(...lats),
+    east: Math.max(...lons),
+    west: Math.min(...lons)
+  };
+
+  // Zoom in until the bounds no longer fit
+  let zoom = MAX_ZOOM;
+  for (let z = MIN_ZOOM; z <= MAX_ZOOM; z++) {
+    const nw = project(bounds.north, bounds.west, z);
+    const se = project(bounds.south, bounds.east, z);
+    if (se.x - nw.x > width - 2 * FIT_PADDING_PX || se.y - nw.y > height - 2 * FIT_PADDING_PX) {
+      zoom = Math.max(MIN_ZOOM, z - 1);
+      break;
+    }
+  }
+
+  const nw = project(bounds.north, bounds.west, zoom);
+  const se = project(bounds.south, bounds.east, zoom);
+  const center = unproject((nw.x + se.x) / 2, (nw.y + se.y) / 2, zoom);
+
+  return { lat: center.lat, lon: center.lon, zoom };
+}
+
+/**
+ * Draws latitude/longitude grid lines when no tiles are configured
+ * @param {SVGElement} layer - Group to draw into
+ * @param {Object} origin - World pixel position of the viewport's top-left corner
+ * @param {number} zoom - Zoom level
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ */
+function drawGraticule(layer, origin, zoom, width, height) {
+  const { GRATICULE_STEPS, GRATICULE_MIN_SPACING_PX } = CONSTANTS.MAP_CONFIG;
+
+  // Pick the finest step that keeps lines apart
+  const degreesPerPx = 360 / (CONSTANTS.MAP_CONFIG.TILE_SIZE * Math.pow(2, zoom));
+  const step = GRATICULE_STEPS.find(s => s / degreesPerPx >= GRATICULE_MIN_SPACING_PX) ||
+               GRATICULE_STEPS[GRATICULE_STEPS.length - 1];
+
+  const topLeft = unproject(origin.x, origin.y, zoom);
+  const bottomRight = unproject(origin.x + width, origin.y + height, zoom);
+
+  for (let lon = Math.ceil(topLeft.lon / step) * step; lon <= bottomRight.lon; lon += step) {
+    const x = project(0, lon, zoom).x - origin.x;
+    layer.appendChild(UTILS.createSvgElement('line', { x1: x, y1: 0, x2: x, y2: height, class: 'map-grid' }));
+  }
+
+  for (let lat = Math.ceil(bottomRight.lat / step) * step; lat <= topLeft.lat; lat += step) {
+    const y = project(lat, 0, zoom).y - origin.y;
+    layer.appendChild(UTILS.createSvgElement('line', { x1: 0, y1: y, x2: width, y2: y, class: 'map-grid' }));
+  }
+}
+
+/**
+ * Draws raster tiles covering the viewport
+ * @param {SVGElement} layer - Group to draw into
+ * @param {string} tileUrl - Template with {z}, {x} and {y} placeholders
+ * @param {Object} origin - World pixel position of the viewport's top-left corner
+ * @param {number} zoom - Zoom level (integer)
+ * @param {number} width - Viewport width
+ * @param {number} height - Viewport height
+ */
+function drawTiles(layer, tileUrl, origin, zoom, width, height) {
+  const { TILE_SIZE } = CONSTANTS.MAP_CONFIG;
+  const tileCount = Math.pow(2, zoom);
+
+  const firstX = Math.floor(origin.x / TILE_SIZE);
+  const lastX = Math.floor((origin.x + width) / TILE_SIZE);
+  const firstY = Math.max(0, Math.floor(origin.y / TILE_SIZE));
+  const lastY = Math.min(tileCount - 1, Math.floor((origin.y + height) / TILE_SIZE));
+
+  for (let tx = firstX; tx <= lastX; tx++) {
+    for (let ty = firstY; ty <= lastY; ty++) {
+      // Wrap around the antimeridian
+      const wrappedX = ((tx % tileCount) + tileCount) % tileCount;
+      const href = tileUrl
+        .replace('{z}', zoom)
+        .replace('{x}', wrappedX)
+        .replace('{y}', ty);
+
+      layer.appendChild(UTILS.createSvgElement('image', {
+        href,
+        x: tx * TILE_SIZE - origin.x,
+        y: ty * TILE_SIZE - origin.y,
+        width: TILE_SIZE,
+        height: TILE_SIZE
+      }));
+    }
+  }
+}
+
+/**
+ * Renders the key map as an SVG with pan and zoom
+ * @param {Array} points - Points from collectKeyPoints
+ * @param {Object} options - {view: {lat, lon, zoom}, width, height, tileUrl, onViewChange, onSelect}
+ * @returns {SVGElement} Map element
+ */
+function renderKeyMap(points, options) {
+  const { MIN_ZOOM, MAX_ZOOM, MARKER_MIN_RADIUS, MARKER_MAX_RADIUS } = CONSTANTS.MAP_CONFIG;
+  const {
+    view,
+    width,
+    height,
+    tileUrl = '',
+    onViewChange = () => {},
+    onSelect = () => {}
+  } = options;
+
+  const center = project(view.lat, view.lon, view.zoom);
+  const origin = { x: center.x - width / 2, y: center.y - height / 2 };
+
+  const svg = UTILS.createSvgElement('svg', {
+    class: 'key-map',
+    width,
+    height,
+    viewBox: `0 0 ${width} ${height}`
+  });
+
+  // Everything that pans lives in one group so dragging only moves a transform
+  const pane = UTILS.createSvgElement('g');
+  svg.appendChild(pane);
+
+  const background = UTILS.createSvgElement('g');
+  if (tileUrl) {
+    drawTiles(background, tileUrl, origin, view.zoom, width, height);
+  } else {
+    drawGraticule(background, origin, view.zoom, width, height);
+  }
+  pane.appendChild(background);
+
+  for (const cluster of clusterPoints(points, view.zoom)) {
+    const { x, y } = project(cluster.lat, cluster.lon, view.zoom);
+    const radius = Math.min(MARKER_MAX_RADIUS, MARKER_MIN_RADIUS + 4 * Math.log2(cluster.count));
+
+    const marker = UTILS.createSvgElement('g', {
+      class: cluster.points.length > 1 ? 'map-marker cluster' : 'map-marker',
+      transform: `translate(${x - origin.x}, ${y - origin.y})`
+    });
+
+    marker.appendChild(UTILS.createSvgElement('circle', { r: radius }));
+
+    const label = UTILS.createSvgElement('text', { 'text-anchor': 'middle', dy: '0.35em' });
+    label.textContent = String(cluster.count);
+    marker.appendChild(label);
+
+    const title = UTILS.createSvgElement('title');
+    title.textContent = cluster.points.length > 1 ?
+                        `${cluster.points.length} portals, ${cluster.count} keys` :
+                        `${cluster.points[0].groupValue.gmeta.title} (${cluster.count})`;
+    marker.appendChild(title);
+
+    marker.addEventListener('click', (event) => {
+      event.stopPropagation();
+      onSelect(cluster);
+    });
+
+    // Double-click a cluster to zoom into it
+    marker.addEventListener('dblclick', (event) => {
+      event.stopPropagation();
+      onViewChange({ lat: cluster.lat, lon: cluster.lon, zoom: Math.min(MAX_ZOOM, view.zoom + 2) });
+    });
+
+    pane.appendChild(marker);
+  }
+
+  // Drag to pan
+  let dragStart = null;
+  svg.addEventListener('pointerdown', (event) => {
+    if (event.target.closest('.map-marker')) return;
+    dragStart = { x: event.clientX, y: event.clientY };
+    svg.setPointerCapture?.(event.pointerId);
+  });
+
+  svg.addEventListener('pointermove', (event) => {
+    if (!dragStart) return;
+    pane.setAttribute('transform',
+      `translate(${event.clientX - dragStart.x}, ${event.clientY - dragStart.y})`);
+  });
+
+  const endDrag = (event) => {
+    if (!dragStart) return;
+    const dx = event.clientX - dragStart.x;
+    const dy = event.clientY - dragStart.y;
+    dragStart = null;
+
+    if (dx === 0 && dy === 0) return;
+
+    const moved = unproject(center.x - dx, center.y - dy, view.zoom);
+    onViewChange({ lat: moved.lat, lon: moved.lon, zoom: view.zoom });
+  };
+  svg.addEventListener('pointerup', endDrag);
+  svg.addEventListener('pointercancel', endDrag);
+
+  // Wheel to zoom around the viewport centre
+  svg.addEventListener('wheel', (event) => {
+    event.preventDefault();
+    const zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, view.zoom + (event.deltaY < 0 ? 1 : -1)));
+    if (zoom !== view.zoom) {
+      onViewChange({ lat: view.lat, lon: view.lon, zoom });
+    }
+  }, { passive: false });
+
+  return svg;
+}
+
+// Export all map functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    project,
+    unproject,
+    collectKeyPoints,
+    clusterPoints,
+    fitView,
+    renderKeyMap
+  };
+} else {
+  // Browser environment - attach to window
+  window.MAP = {
+    project,
+    unproject,
+    collectKeyPoints,
+    clusterPoints,
+    fitView,
+    renderKeyMap
+  };
+}
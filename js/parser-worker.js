@@ -0,0 +1,54 @@
+/**
+ * Parser worker for the Ingress Inventory Viewer
+ * Reads, cleans, parses, unpacks and groups an inventory file off the main thread,
+ * so large exports don't freeze the page.
+ *
+ * Messages in:  {file: File}
+ * Messages out: {type: 'progress', stage, fraction|null}
+ *               {type: 'done', processedData} (processedData.raw is the parsed JSON, plus typeBuckets
+ *                and filterOptions from DATA.groupInventory)
+ *               {type: 'error', error}
+ */
+
+importScripts('constants.js', 'registry.js', 'utils.js', 'data.js');
+
+// Last progress posted, to skip repeats
+let lastProgress = null;
+
+/**
+ * Posts a progress message, at most once per stage and whole percent
+ * @param {string} stage - What the worker is doing
+ * @param {number|null} fraction - Completed fraction (0-1), null if unknown
+ */
+function postProgress(stage, fraction = null) {
+  const percent = fraction === null ? null : Math.floor(fraction * 100);
+  if (lastProgress && lastProgress.stage === stage && lastProgress.percent === percent) return;
+
+  lastProgress = { stage, percent };
+  self.postMessage({ type: 'progress', stage, fraction });
+}
+
+self.onmessage = async (event) => {
+  const { file } = event.data;
+
+  try {
+    postProgress('Reading file');
+    const text = await file.text();
+
+    const parseResult = DATA.parseInventoryText(text, postProgress);
+    if (!parseResult.success) {
+      self.postMessage({ type: 'error', error: parseResult.error });
+      return;
+    }
+
+    postProgress('Extracting items from containers');
+    const processedData = DATA.processInventoryData(parseResult.data);
+
+    postProgress('Grouping items');
+    Object.assign(processedData, DATA.groupInventory(processedData));
+
+    self.postMessage({ type: 'done', processedData });
+  } catch (error) {
+    self.postMessage({ type: 'error', error: `Failed to read file: ${error.message}` });
+  }
+};
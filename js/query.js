@@ -0,0 +1,387 @@
+/**
+ * Search query module for the Ingress Inventory Viewer
+ * Parses the search box syntax and matches item records against it.
+ *
+ * Syntax:
+ *   park                 plain text, matched against title, address and type
+ *   "town hall"          quoted phrase
+ *   type:mods            field filters (see QUERY_FIELDS); other word: prefixes are plain text, e.g. Station:
+ *   count:>5 level:7..8  comparisons: <, <=, >, >=, =, and ranges a..b
+ *   dist:<2km            distances in km (default), m or mi
+ *   acquired:<30d        age in h, d, w, mo or y; or a date, e.g. acquired:>2024-01-01
+ *   -capsule:none        negation with a leading - (or NOT)
+ *   type:keys OR type:mods, (a OR b) c   alternatives and grouping; terms are ANDed by default
+ */
+
+// Node.js environment - load the modules the browser provides as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var CONSTANTS = require('./constants');
+}
+
+// Field names and their aliases
+const QUERY_FIELDS = {
+  type: 'type',
+  rarity: 'rarity',
+  level: 'level',
+  lvl: 'level',
+  count: 'count',
+  dist: 'dist',
+  distance: 'dist',
+  capsule: 'capsule',
+  in: 'capsule',
+  acquired: 'acquired',
+  title: 'title',
+  name: 'title',
+  address: 'address',
+  addr: 'address'
+};
+
+// Duration units for acquired: in milliseconds
+const DURATION_UNITS = {
+  h: 3600000,
+  d: 86400000,
+  w: 604800000,
+  mo: 2592000000,
+  y: 31536000000
+};
+
+// Distance units for dist: in kilometres
+const DISTANCE_UNITS = {
+  km: 1,
+  m: 0.001,
+  mi: 1 / 0.621371
+};
+
+/**
+ * Splits a query string into tokens
+ * @param {string} input - Raw query
+ * @returns {Array} Tokens {type: 'TERM'|'OR'|'AND'|'NOT'|'('|')', field?, value?}
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    // Leading dash negates the following term
+    if (ch === '-' && i + 1 < input.length && !/\s/.test(input[i + 1])) {
+      tokens.push({ type: 'NOT' });
+      i++;
+      continue;
+    }
+
+    // Read a word, allowing quoted sections such as title:"town hall"
+    const startsQuoted = ch === '"';
+    let word = '';
+    let quoted = false;
+    while (i < input.length && !/[\s()]/.test(input[i])) {
+      if (input[i] === '"') {
+        const end = input.indexOf('"', i + 1);
+        if (end === -1) {
+          throw new Error('Missing closing quote');
+        }
+        word += input.slice(i + 1, end);
+        quoted = true;
+        i = end + 1;
+        continue;
+      }
+      word += input[i];
+      i++;
+    }
+
+    if (!quoted && (word === 'OR' || word === '|')) {
+      tokens.push({ type: 'OR' });
+    } else if (!quoted && word === 'AND') {
+      tokens.push({ type: 'AND' });
+    } else if (!quoted && word === 'NOT') {
+      tokens.push({ type: 'NOT' });
+    } else {
+      // Portal titles can contain colons, so only known field names start a field filter
+      const colon = word.indexOf(':');
+      const field = colon > 0 && !startsQuoted ? word.slice(0, colon).toLowerCase() : null;
+      if (field && QUERY_FIELDS[field]) {
+        tokens.push({
+          type: 'TERM',
+          field,
+          value: word.slice(colon + 1)
+        });
+      } else {
+        tokens.push({ type: 'TERM', field: null, value: word });
+      }
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Builds a numeric comparison from a value like ">5", "<=2", "7..8" or "3"
+ * @param {string} value - Comparison text
+ * @param {Function} parseOperand - Converts operand text to a number (NaN if invalid)
+ * @param {string} field - Field name for error messages
+ * @returns {Function} Predicate taking a number
+ */
+function parseComparison(value, parseOperand, field) {
+  const range = value.match(/^(.+)\.\.(.+)$/);
+  if (range) {
+    const min = parseOperand(range[1]);
+    const max = parseOperand(range[2]);
+    if (isNaN(min) || isNaN(max)) {
+      throw new Error(`Invalid range for ${field}: "${value}"`);
+    }
+    return (n) => n >= Math.min(min, max) && n <= Math.max(min, max);
+  }
+
+  const [, operator = '=', operand] = value.match(/^(<=|>=|<|>|=)?(.*)$/);
+  const target = parseOperand(operand);
+  if (operand === '' || isNaN(target)) {
+    throw new Error(`Invalid value for ${field}: "${value}"`);
+  }
+
+  switch (operator) {
+    case '<': return (n) => n < target;
+    case '<=': return (n) => n <= target;
+    case '>': return (n) => n > target;
+    case '>=': return (n) => n >= target;
+    default: return (n) => n === target;
+  }
+}
+
+/**
+ * Normalizes rarity input (VR, rare, very_rare, "Very Rare") to the game's enum
+ * @param {string} value - Rarity text
+ * @returns {string} Rarity enum, e.g. VERY_RARE
+ */
+function normalizeRarity(value) {
+  const upper = value.toUpperCase().replace(/[\s-]+/g, '_');
+  const fromAbbreviation = Object.entries(CONSTANTS.RARITY.ABBREVIATIONS)
+    .find(([rarity, abbreviation]) => abbreviation === upper);
+
+  if (fromAbbreviation) return fromAbbreviation[0];
+  if (upper === 'VC') return 'VERY_COMMON';
+  return upper;
+}
+
+/**
+ * Compiles a term token into a predicate over item records
+ * @param {Object} token - TERM token
+ * @returns {Object} Node {type: 'term', field, test}
+ */
+function compileTerm(token) {
+  const value = token.value.toLowerCase();
+
+  if (token.field === null) {
+    if (!value) throw new Error('Empty search phrase');
+    return { type: 'term', field: 'text', test: (record) => record.text.includes(value) };
+  }
+
+  const field = QUERY_FIELDS[token.field];
+  if (!value) {
+    throw new Error(`Missing value for ${token.field}:`);
+  }
+
+  let test;
+
+  switch (field) {
+    case 'type':
+      test = (record) => {
+        const displayType = record.displayType.toLowerCase();
+        return displayType === value ||
+               displayType === `${value}s` ||
+               record.rawType.toLowerCase() === value;
+      };
+      break;
+
+    case 'rarity': {
+      const rarity = normalizeRarity(value);
+      test = (record) => record.rarity === rarity;
+      break;
+    }
+
+    case 'level': {
+      const compare = parseComparison(value, (text) => Number(text.replace(/^l/, '')), token.field);
+      test = (record) => record.level > 0 && compare(record.level);
+      break;
+    }
+
+    case 'count': {
+      const compare = parseComparison(value, Number, token.field);
+      test = (record) => compare(record.count);
+      break;
+    }
+
+    case 'dist': {
+      const compare = parseComparison(value, (text) => {
+        const match = text.match(/^(\d+(?:\.\d+)?)(km|mi|m)?$/);
+        return match ? Number(match[1]) * DISTANCE_UNITS[match[2] || 'km'] : NaN;
+      }, token.field);
+      test = (record) => record.distanceKm !== null && compare(record.distanceKm);
+      break;
+    }
+
+    case 'capsule':
+      test = (record) => {
+        const storedIn = record.storedIn;
+        if (value === 'none' || value === 'loose') return !storedIn;
+        if (value === 'any') return !!storedIn;
+        if (!storedIn) return false;
+
+        return storedIn.containerType.toLowerCase() === value ||
+               storedIn.containerName.toLowerCase().startsWith(value) ||
+               storedIn.containerId.toLowerCase().startsWith(value);
+      };
+      break;
+
+    case 'acquired': {
+      // Dates compare timestamps; durations compare age, so acquired:<30d means "within 30 days"
+      const isDate = /\d{4}-\d{2}-\d{2}$/.test(value);
+      const compare = parseComparison(value, (text) => {
+        if (isDate) return Date.parse(text);
+        const match = text.match(/^(\d+(?:\.\d+)?)(h|d|w|mo|y)$/);
+        return match ? Number(match[1]) * DURATION_UNITS[match[2]] : NaN;
+      }, token.field);
+      const now = Date.now();
+      test = (record) => record.ts > 0 && compare(isDate ? record.ts : now - record.ts);
+      break;
+    }
+
+    case 'title':
+      test = (record) => record.title.toLowerCase().includes(value);
+      break;
+
+    case 'address':
+      test = (record) => record.address.toLowerCase().includes(value);
+      break;
+  }
+
+  return { type: 'term', field, test };
+}
+
+/**
+ * Parses a query string
+ * @param {string} input - Raw query from the search box
+ * @returns {Object} {success: boolean, query?: Object|null, error?: string}
+ */
+function parseQuery(input) {
+  const text = (input || '').trim();
+  if (!text) return { success: true, query: null };
+
+  try {
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+
+    const parseOr = () => {
+      const children = [parseAnd()];
+      while (peek()?.type === 'OR') {
+        pos++;
+        children.push(parseAnd());
+      }
+      return children.length === 1 ? children[0] : { type: 'or', children };
+    };
+
+    const parseAnd = () => {
+      const children = [];
+      while (pos < tokens.length && peek().type !== 'OR' && peek().type !== ')') {
+        if (peek().type === 'AND') {
+          pos++;
+          continue;
+        }
+        children.push(parseUnary());
+      }
+      if (children.length === 0) {
+        throw new Error('Expected a search term');
+      }
+      return children.length === 1 ? children[0] : { type: 'and', children };
+    };
+
+    const parseUnary = () => {
+      const token = tokens[pos++];
+
+      if (token.type === 'NOT') {
+        if (pos >= tokens.length) throw new Error('Expected a search term after negation');
+        return { type: 'not', child: parseUnary() };
+      }
+
+      if (token.type === '(') {
+        const node = parseOr();
+        if (peek()?.type !== ')') throw new Error('Missing closing parenthesis');
+        pos++;
+        return node;
+      }
+
+      if (token.type === 'TERM') {
+        return compileTerm(token);
+      }
+
+      throw new Error(`Unexpected "${token.type}"`);
+    };
+
+    const query = parseOr();
+    if (pos < tokens.length) {
+      throw new Error(`Unexpected "${tokens[pos].type}"`);
+    }
+
+    return { success: true, query };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Checks whether an item record matches a parsed query
+ * @param {Object} node - Parsed query node
+ * @param {Object} record - Item record (see DATA.filterItems)
+ * @returns {boolean} True if the record matches
+ */
+function matchesQuery(node, record) {
+  switch (node.type) {
+    case 'and': return node.children.every(child => matchesQuery(child, record));
+    case 'or': return node.children.some(child => matchesQuery(child, record));
+    case 'not': return !matchesQuery(node.child, record);
+    default: return node.test(record);
+  }
+}
+
+/**
+ * Checks whether a parsed query filters on a field
+ * @param {Object|null} node - Parsed query node
+ * @param {string} field - Field name, e.g. 'dist'
+ * @returns {boolean} True if any term uses the field
+ */
+function usesField(node, field) {
+  if (!node) return false;
+  if (node.children) return node.children.some(child => usesField(child, field));
+  if (node.child) return usesField(node.child, field);
+  return node.field === field;
+}
+
+// Export all query functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    parseQuery,
+    matchesQuery,
+    usesField
+  };
+} else {
+  // Browser environment - attach to window
+  window.QUERY = {
+    parseQuery,
+    matchesQuery,
+    usesField
+  };
+}
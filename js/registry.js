@@ -0,0 +1,349 @@
+/**
+ * Item type registry for the Ingress Inventory Viewer
+ * Everything the app knows about an item type lives in one entry: its display category,
+ * title, image and sort position. Display categories declare how their groups are keyed and sorted.
+ *
+ * Adding a type (e.g. a new sponsored mod) is a single registerType call at the bottom of this file.
+ */
+
+// Node.js environment - load the modules the browser provides as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var CONSTANTS = require('./constants');
+}
+
+// Display category -> {typedTitles, groupKey, groupMeta, compare}
+const categoryRegistry = new Map();
+
+// Raw resource type -> {category, title, image, order}
+const typeRegistry = new Map();
+
+// Sort position for types that don't declare one
+const DEFAULT_ORDER = 9;
+
+/**
+ * Compares group entries by title (the part of the group key before "|")
+ * @param {Array} a - [groupKey, {items, gmeta}]
+ * @param {Array} b - [groupKey, {items, gmeta}]
+ * @returns {number} Sort order
+ */
+function compareTitles(a, b) {
+  return a[0].split('|')[0].localeCompare(b[0].split('|')[0]);
+}
+
+/**
+ * Registers a display category
+ * @param {string} displayType - Category name, one of ITEM_TYPES.DISPLAY_TYPES
+ * @param {Object} spec - {typedTitles: titles (e.g. "L8", "VR") only make sense next to the type name,
+ *                        groupKey(title, rawType, meta): key items are grouped by (default: title, plus type for typedTitles),
+ *                        groupMeta(meta, rawType): extra group metadata, e.g. level,
+ *                        compare(a, b): order of [groupKey, {items, gmeta}] entries (default: by title)}
+ */
+function registerCategory(displayType, spec = {}) {
+  categoryRegistry.set(displayType, {
+    typedTitles: false,
+    groupKey: spec.typedTitles ? (title, rawType) => `${title}|${rawType}` : (title) => title,
+    groupMeta: () => ({}),
+    compare: compareTitles,
+    ...spec
+  });
+}
+
+/**
+ * Registers a raw resource type, replacing any earlier entry for it
+ * @param {string} rawType - Raw resource type from game data, e.g. HEATSINK
+ * @param {Object} spec - {category: display category,
+ *                        title(meta): display title, or null to fall back to the generic title,
+ *                        image(meta): image URL, or null,
+ *                        order: position within its category where the category sorts by type}
+ */
+function registerType(rawType, spec) {
+  if (!categoryRegistry.has(spec?.category)) {
+    throw new Error(`Unknown display category for ${rawType}: ${spec?.category}`);
+  }
+  typeRegistry.set(rawType, { title: null, image: null, order: DEFAULT_ORDER, ...spec });
+}
+
+/**
+ * Gets a registered type
+ * @param {string} rawType - Raw resource type
+ * @returns {Object|null} Type spec, or null if the type is unknown
+ */
+function getType(rawType) {
+  return typeRegistry.get(rawType) || null;
+}
+
+/**
+ * Gets a display category; unknown categories behave like Other
+ * @param {string} displayType - Category name
+ * @returns {Object} Category spec
+ */
+function getCategory(displayType) {
+  return categoryRegistry.get(displayType) || categoryRegistry.get(CONSTANTS.ITEM_TYPES.DISPLAY_TYPES.OTHER);
+}
+
+/**
+ * Gets the raw resource type of an item
+ * @param {Object} meta - Item metadata
+ * @returns {string|undefined} Raw resource type
+ */
+function rawTypeOf(meta) {
+  return meta.resourceWithLevels?.resourceType ||
+         meta.resource?.resourceType ||
+         meta.modResource?.resourceType;
+}
+
+/**
+ * Maps a raw resource type to its display category
+ * @param {string} rawType - Raw resource type
+ * @returns {string} Display category ('Other' for unrecognized types)
+ */
+function displayTypeOf(rawType) {
+  return typeRegistry.get(rawType)?.category || CONSTANTS.ITEM_TYPES.DISPLAY_TYPES.OTHER;
+}
+
+/**
+ * Gets an item's display title from its type, falling back on the shape of its metadata
+ * @param {string} id - Item ID
+ * @param {Object} meta - Item metadata
+ * @returns {string} Display title
+ */
+function titleOf(id, meta) {
+  const rawType = rawTypeOf(meta);
+  const title = typeRegistry.get(rawType)?.title?.(meta);
+  if (title != null) return title;
+
+  // Unregistered mods still have a rarity, and levelled items a level
+  if (meta.modResource) return rarityTitle(meta);
+  if (meta.resourceWithLevels?.resourceType) return `${rawType} L${meta.resourceWithLevels.level || ''}`;
+
+  return rawType || id;
+}
+
+/**
+ * Gets an item's image from its type
+ * @param {Object} meta - Item metadata
+ * @returns {string|null} Image URL, or null if the type has none
+ */
+function imageOf(meta) {
+  return typeRegistry.get(rawTypeOf(meta))?.image?.(meta) || null;
+}
+
+/**
+ * Gets the sort position of a type within its category
+ * @param {string} rawType - Raw resource type
+ * @returns {number} Sort position (unknown types last)
+ */
+function orderOf(rawType) {
+  return typeRegistry.get(rawType)?.order ?? DEFAULT_ORDER;
+}
+
+// ----- Titles and images shared by several types -----
+
+const levelTitle = (meta) => `L${meta.resourceWithLevels?.level || ''}`;
+
+// Mods show their rarity, e.g. "VR"
+function rarityTitle(meta) {
+  if (!meta.modResource) return null;
+  const rarity = meta.modResource.rarity || '';
+  return CONSTANTS.RARITY.ABBREVIATIONS[rarity] || rarity;
+}
+
+const imagePath = (fileName) => `${CONSTANTS.ASSET_PATHS.IMAGE_DIR}${fileName}`;
+
+// One image per level, e.g. levelImage('Resonator') -> Resonator_L8.webp
+const levelImage = (name) => (meta) => {
+  const level = meta.resourceWithLevels?.level;
+  return level ? imagePath(`${name}_L${level}.webp`) : null;
+};
+
+// One image per mod rarity, e.g. rarityImage('Heat_Sink') -> Heat_Sink_Very_Rare.webp
+const RARITY_FILE_NAMES = { COMMON: 'Common', RARE: 'Rare', VERY_RARE: 'Very_Rare' };
+const rarityImage = (name) => (meta) => {
+  const rarity = RARITY_FILE_NAMES[meta.modResource?.rarity];
+  return rarity ? imagePath(`${name}_${rarity}.webp`) : null;
+};
+
+const fixedImage = (fileName) => () => imagePath(fileName);
+
+// Remote images are upgraded to https so the page doesn't load mixed content
+const secureUrl = (url) => url.replace(/^http:/, 'https:');
+
+// ----- Built-in categories -----
+
+const { DISPLAY_TYPES } = CONSTANTS.ITEM_TYPES;
+const itemLevel = (meta) => meta.resourceWithLevels?.level || 0;
+const compareLevels = (a, b) => (b[1].gmeta.level || 0) - (a[1].gmeta.level || 0);
+
+registerCategory(DISPLAY_TYPES.KEYS, {
+  // Keys are per portal, since many portals share a title
+  groupKey: (title, rawType, meta) => meta.portalCoupler?.portalGuid ? `${title}|${meta.portalCoupler.portalGuid}` : title,
+  groupMeta: (meta) => ({
+    portalGuid: meta.portalCoupler?.portalGuid || '',
+    address: meta.portalCoupler?.portalAddress || '',
+    sharedTitleCount: 1
+  })
+});
+
+// Weapons: type order, then level descending
+registerCategory(DISPLAY_TYPES.WEAPONS, {
+  typedTitles: true,
+  groupMeta: (meta, rawType) => ({ weaponType: rawType || '', level: itemLevel(meta) }),
+  compare: (a, b) => orderOf(a[1].gmeta.weaponType) - orderOf(b[1].gmeta.weaponType) ||
+                     compareLevels(a, b) ||
+                     compareTitles(a, b)
+});
+
+// Cubes: type, then level descending
+registerCategory(DISPLAY_TYPES.CUBES, {
+  typedTitles: true,
+  groupMeta: (meta, rawType) => ({ cubeType: rawType || '', level: itemLevel(meta) }),
+  compare: (a, b) => (a[1].gmeta.cubeType || '').localeCompare(b[1].gmeta.cubeType || '') || compareLevels(a, b)
+});
+
+// Resonators: L8 -> L1
+registerCategory(DISPLAY_TYPES.RESONATORS, {
+  groupMeta: (meta) => ({ level: itemLevel(meta) }),
+  compare: compareLevels
+});
+
+// Mods: type order, then rarity (VR > R > C)
+registerCategory(DISPLAY_TYPES.MODS, {
+  typedTitles: true,
+  groupMeta: (meta, rawType) => ({ modType: rawType || '', rarity: meta.modResource?.rarity || '' }),
+  compare: (a, b) => {
+    const typeA = a[1].gmeta.modType || '';
+    const typeB = b[1].gmeta.modType || '';
+    const { SORT_ORDER } = CONSTANTS.RARITY;
+
+    return orderOf(typeA) - orderOf(typeB) ||
+           (SORT_ORDER[b[1].gmeta.rarity || ''] || 0) - (SORT_ORDER[a[1].gmeta.rarity || ''] || 0) ||
+           typeA.localeCompare(typeB) ||
+           compareTitles(a, b);
+  }
+});
+
+// Powerups: most held first, then title
+registerCategory(DISPLAY_TYPES.POWERUPS, {
+  compare: (a, b) => b[1].items.length - a[1].items.length || compareTitles(a, b)
+});
+
+registerCategory(DISPLAY_TYPES.CAPSULES);
+registerCategory(DISPLAY_TYPES.MEDIA);
+
+// Unrecognized items are titled by their raw type, which may be missing
+registerCategory(DISPLAY_TYPES.OTHER, {
+  groupKey: (title, rawType) => `${title}|${rawType}`
+});
+
+// ----- Built-in types -----
+
+registerType('PORTAL_LINK_KEY', {
+  category: DISPLAY_TYPES.KEYS,
+  title: (meta) => meta.portalCoupler?.portalTitle || null,
+  image: (meta) => meta.portalCoupler?.portalImageUrl ? secureUrl(meta.portalCoupler.portalImageUrl) : null
+});
+
+registerType('EMITTER_A', { category: DISPLAY_TYPES.RESONATORS, title: levelTitle, image: levelImage('Resonator') });
+
+registerType('EMP_BURSTER', { category: DISPLAY_TYPES.WEAPONS, order: 0, title: levelTitle, image: levelImage('XMP_Burster') });
+registerType('ULTRA_STRIKE', { category: DISPLAY_TYPES.WEAPONS, order: 1, title: levelTitle, image: levelImage('Ultra_Strike') });
+registerType('FLIP_CARD', {
+  category: DISPLAY_TYPES.WEAPONS,
+  order: 2,
+  title: (meta) => meta.flipCard?.flipCardType || null,
+  image: (meta) => ({
+    ADA: imagePath('ADA_Refactor.webp'),
+    JARVIS: imagePath('JARVIS_Virus.webp')
+  })[meta.flipCard?.flipCardType] || null
+});
+
+registerType('POWER_CUBE', { category: DISPLAY_TYPES.CUBES, title: levelTitle, image: levelImage('Power_Cube') });
+registerType('BOOSTED_POWER_CUBE', { category: DISPLAY_TYPES.CUBES, title: () => 'Hyper', image: fixedImage('Lawson_Power_Cube.webp') });
+
+registerType('RES_SHIELD', { category: DISPLAY_TYPES.MODS, order: 0, title: rarityTitle, image: rarityImage('Portal_Shield') });
+registerType('EXTRA_SHIELD', {
+  category: DISPLAY_TYPES.MODS,
+  order: 0,
+  title: rarityTitle,
+  image: (meta) => {
+    const name = (meta.modResource?.displayName || '').toLowerCase();
+    if (name.includes('aegis')) return imagePath('Aegis_Shield.webp');
+    if (name.includes('axa')) return imagePath('AXA_Shield.webp');
+    return imagePath('Portal_Shield_Very_Rare.webp');
+  }
+});
+registerType('HEATSINK', { category: DISPLAY_TYPES.MODS, order: 1, title: rarityTitle, image: rarityImage('Heat_Sink') });
+registerType('MULTIHACK', { category: DISPLAY_TYPES.MODS, order: 2, title: rarityTitle, image: rarityImage('Multi-Hack') });
+registerType('LINK_AMPLIFIER', { category: DISPLAY_TYPES.MODS, order: 3, title: rarityTitle, image: rarityImage('Link_Amp') });
+registerType('TRANSMUTER_ATTACK', { category: DISPLAY_TYPES.MODS, order: 4, title: rarityTitle, image: fixedImage('ITO_EN_Transmuter_plus.webp') });
+registerType('TRANSMUTER_DEFENSE', { category: DISPLAY_TYPES.MODS, order: 4, title: rarityTitle, image: fixedImage('ITO_EN_Transmuter_minus.webp') });
+registerType('TURRET', { category: DISPLAY_TYPES.MODS, order: 5, title: rarityTitle, image: fixedImage('Turret.webp') });
+registerType('FORCE_AMP', { category: DISPLAY_TYPES.MODS, order: 6, title: rarityTitle, image: fixedImage('Force_Amp.webp') });
+registerType('ULTRA_LINK_AMP', { category: DISPLAY_TYPES.MODS, title: rarityTitle, image: fixedImage('SoftBank_Ultra_Link.webp') });
+
+registerType('PORTAL_POWERUP', {
+  category: DISPLAY_TYPES.POWERUPS,
+  // Beacons, frackers etc. share this type and are told apart by designation
+  title: (meta) => meta.timedPowerupResource?.designation || null,
+  image: (meta) => {
+    const { BEACONS, BATTLE_BEACONS } = CONSTANTS.ASSET_PATHS;
+    const designation = meta.timedPowerupResource?.designation;
+
+    if (designation === 'FRACK') return imagePath('Portal_Fracker.webp');
+    if (BEACONS[designation]) return imagePath(BEACONS[designation]);
+    if (designation === 'BB_BATTLE') {
+      return BATTLE_BEACONS[meta.resource?.resourceRarity || ''] || BATTLE_BEACONS.VERY_RARE;
+    }
+    return null;
+  }
+});
+registerType('PLAYER_POWERUP', {
+  category: DISPLAY_TYPES.POWERUPS,
+  title: (meta) => meta.playerPowerupResource?.playerPowerupEnum || null,
+  image: (meta) => meta.playerPowerupResource?.playerPowerupEnum === 'APEX' ? imagePath('Apex.webp') : null
+});
+
+registerType('CAPSULE', { category: DISPLAY_TYPES.CAPSULES, image: fixedImage('Capsule_Prime.webp') });
+registerType('KEY_CAPSULE', { category: DISPLAY_TYPES.CAPSULES, image: fixedImage('Prime-White-Key_Locker.webp') });
+registerType('KINETIC_CAPSULE', {
+  category: DISPLAY_TYPES.CAPSULES,
+  image: (meta) => imagePath(meta.resource?.resourceRarity === 'RARE' ?
+                             'Prime-Rare_Kinetic_Capsule.webp' : 'Prime-Kinetic_Capsule.webp')
+});
+registerType('QUANTUM_CAPSULE', { category: DISPLAY_TYPES.CAPSULES });
+registerType('INTEREST_CAPSULE', { category: DISPLAY_TYPES.CAPSULES });
+
+registerType('MEDIA', {
+  category: DISPLAY_TYPES.MEDIA,
+  title: (meta) => meta.storyItem?.shortDescription || null,
+  image: (meta) => meta.storyItem?.primaryUrl?.match(/\.(png|jpg|jpeg|gif)$/i) ? meta.storyItem.primaryUrl : null
+});
+
+// Export the registry
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    registerCategory,
+    registerType,
+    getCategory,
+    getType,
+    rawTypeOf,
+    displayTypeOf,
+    titleOf,
+    imageOf,
+    orderOf
+  };
+} else {
+  // Browser environment - attach to the global scope (window, or the parser worker)
+  self.REGISTRY = {
+    registerCategory,
+    registerType,
+    getCategory,
+    getType,
+    rawTypeOf,
+    displayTypeOf,
+    titleOf,
+    imageOf,
+    orderOf
+  };
+}
@@ -0,0 +1,317 @@
+/**
+ * Local persistence module for the Ingress Inventory Viewer
+ * Opt-in IndexedDB store for loaded inventories, plus small preferences in localStorage.
+ * Nothing here ever leaves the browser.
+ */
+
+// Shared connection, opened on first use
+let databasePromise = null;
+
+/**
+ * Checks whether IndexedDB can be used in this browser
+ * @returns {boolean} True if IndexedDB is available
+ */
+function isStorageAvailable() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Opens (and creates or upgrades) the inventory database
+ * @returns {Promise<IDBDatabase>} Open database connection
+ */
+function openDatabase() {
+  if (databasePromise) return databasePromise;
+
+  const { DB_NAME, DB_VERSION, STORES } = CONSTANTS.STORAGE_CONFIG;
+
+  databasePromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+        db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORES.SNAPSHOT_DATA)) {
+        db.createObjectStore(STORES.SNAPSHOT_DATA);
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      databasePromise = null;
+      reject(request.error);
+    };
+  });
+
+  return databasePromise;
+}
+
+/**
+ * Runs requests in a single transaction and resolves once it completes
+ * @param {Array<string>} storeNames - Object stores used by the transaction
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {Function} work - Receives the transaction, may return the request whose result is wanted
+ * @returns {Promise<any>} Result of the returned request
+ */
+async function runTransaction(storeNames, mode, work) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = work(transaction);
+
+    transaction.oncomplete = () => resolve(request ? request.result : undefined);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Lists saved inventories without loading their raw data
+ * @returns {Promise<Array>} Saved snapshot records, newest export first
+ */
+async function listSnapshots() {
+  const { STORES } = CONSTANTS.STORAGE_CONFIG;
+
+  const records = await runTransaction([STORES.SNAPSHOTS], 'readonly',
+    transaction => transaction.objectStore(STORES.SNAPSHOTS).getAll());
+
+  return (records || []).sort((a, b) => b.lastModified - a.lastModified);
+}
+
+/**
+ * Saves an inventory export, skipping files that are already stored
+ * @param {Object} snapshot - {fileName, lastModified, rawData}
+ * @returns {Promise<string>} ID of the saved (or already stored) record
+ */
+async function saveSnapshot({ fileName, lastModified, rawData }) {
+  const { STORES } = CONSTANTS.STORAGE_CONFIG;
+
+  // Re-uploading the same export should not create duplicates
+  const existing = (await listSnapshots()).find(record =>
+    record.fileName === fileName && record.lastModified === lastModified);
+  if (existing) return existing.id;
+
+  const record = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: fileName,
+    fileName,
+    lastModified,
+    savedAt: Date.now()
+  };
+
+  await runTransaction([STORES.SNAPSHOTS, STORES.SNAPSHOT_DATA], 'readwrite', transaction => {
+    transaction.objectStore(STORES.SNAPSHOTS).put(record);
+    transaction.objectStore(STORES.SNAPSHOT_DATA).put(rawData, record.id);
+  });
+
+  return record.id;
+}
+
+/**
+ * Loads a saved inventory with its raw data
+ * @param {string} id - Saved snapshot ID
+ * @returns {Promise<Object|null>} Record with rawData, or null if missing
+ */
+async function loadSnapshot(id) {
+  const { STORES } = CONSTANTS.STORAGE_CONFIG;
+  let record = null;
+  let rawData = null;
+
+  await runTransaction([STORES.SNAPSHOTS, STORES.SNAPSHOT_DATA], 'readonly', transaction => {
+    const metaRequest = transaction.objectStore(STORES.SNAPSHOTS).get(id);
+    const dataRequest = transaction.objectStore(STORES.SNAPSHOT_DATA).get(id);
+    metaRequest.onsuccess = () => { record = metaRequest.result || null; };
+    dataRequest.onsuccess = () => { rawData = dataRequest.result || null; };
+  });
+
+  if (!record || !rawData) return null;
+
+  return { ...record, rawData };
+}
+
+/**
+ * Renames a saved inventory
+ * @param {string} id - Saved snapshot ID
+ * @param {string} name - New display name
+ */
+async function renameSnapshot(id, name) {
+  const { STORES } = CONSTANTS.STORAGE_CONFIG;
+
+  await runTransaction([STORES.SNAPSHOTS], 'readwrite', transaction => {
+    const store = transaction.objectStore(STORES.SNAPSHOTS);
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, name });
+      }
+    };
+  });
+}
+
+/**
+ * Tags a saved inventory with the agent it belongs to (team view)
+ * @param {string} id - Saved snapshot ID
+ * @param {string} agent - Agent name, empty to clear
+ */
+async function setSnapshotAgent(id, agent) {
+  const { STORES } = CONSTANTS.STORAGE_CONFIG;
+
+  await runTransaction([STORES.SNAPSHOTS], 'readwrite', transaction => {
+    const store = transaction.objectStore(STORES.SNAPSHOTS);
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) {
+        store.put({ ...request.result, agent });
+      }
+    };
+  });
+}
+
+/**
+ * Deletes a saved inventory and its raw data
+ * @param {string} id - Saved snapshot ID
+ */
+async function deleteSnapshot(id) {
+  const { STORES } = CONSTANTS.STORAGE_CONFIG;
+
+  await runTransaction([STORES.SNAPSHOTS, STORES.SNAPSHOT_DATA], 'readwrite', transaction => {
+    transaction.objectStore(STORES.SNAPSHOTS).delete(id);
+    transaction.objectStore(STORES.SNAPSHOT_DATA).delete(id);
+  });
+}
+
+/**
+ * Reads a preference from localStorage
+ * @param {string} name - Preference name
+ * @param {any} fallback - Value returned when unset or unreadable
+ * @returns {any} Stored value or fallback
+ */
+function getPreference(name, fallback = null) {
+  try {
+    const stored = localStorage.getItem(CONSTANTS.STORAGE_CONFIG.PREF_PREFIX + name);
+    return stored === null ? fallback : JSON.parse(stored);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+/**
+ * Writes a preference to localStorage
+ * @param {string} name - Preference name
+ * @param {any} value - JSON-serializable value
+ */
+function setPreference(name, value) {
+  try {
+    localStorage.setItem(CONSTANTS.STORAGE_CONFIG.PREF_PREFIX + name, JSON.stringify(value));
+  } catch (error) {
+    // Storage disabled or full - preference lives for this session only
+  }
+}
+
+/**
+ * Writes a preference only if the user opted in to local storage, so it's remembered across visits
+ * @param {string} name - Preference name
+ * @param {any} value - JSON-serializable value
+ */
+function savePreference(name, value) {
+  if (isPersistenceEnabled()) {
+    setPreference(name, value);
+  }
+}
+
+/**
+ * Whether the user opted in to saving loaded inventories
+ * @returns {boolean} True if saving is enabled
+ */
+function isPersistenceEnabled() {
+  return getPreference('persist', false) === true;
+}
+
+/**
+ * Enables or disables saving loaded inventories
+ * @param {boolean} enabled - New opt-in state
+ */
+function setPersistenceEnabled(enabled) {
+  setPreference('persist', !!enabled);
+}
+
+/**
+ * Deletes every stored preference, then the database
+ * @returns {Promise<boolean>} False if another tab still has the database open, so its delete is pending
+ *                             (rejects if the database can't be deleted; preferences are gone either way)
+ */
+async function forgetEverything() {
+  const { DB_NAME, PREF_PREFIX } = CONSTANTS.STORAGE_CONFIG;
+
+  // Preferences go first, so a failed database delete can't leave the opt-in switched on
+  try {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      keys.push(localStorage.key(i));
+    }
+    keys.filter(key => key && key.startsWith(PREF_PREFIX))
+      .forEach(key => localStorage.removeItem(key));
+  } catch (error) {
+    // localStorage unavailable - nothing stored there
+  }
+
+  // Close our own connection so the delete isn't blocked
+  if (databasePromise) {
+    try {
+      (await databasePromise).close();
+    } catch (error) {
+      // Connection never opened - nothing to close
+    }
+    databasePromise = null;
+  }
+
+  if (!isStorageAvailable()) return true;
+
+  // Blocked deletes go ahead by themselves once the other connections close
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.deleteDatabase(DB_NAME);
+    request.onsuccess = () => resolve(true);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => resolve(false);
+  });
+}
+
+// Export all storage functions
+if (typeof module !== 'undefined' && module.exports) {
+  // Node.js environment
+  module.exports = {
+    isStorageAvailable,
+    listSnapshots,
+    saveSnapshot,
+    loadSnapshot,
+    renameSnapshot,
+    setSnapshotAgent,
+    deleteSnapshot,
+    getPreference,
+    setPreference,
+    savePreference,
+    isPersistenceEnabled,
+    setPersistenceEnabled,
+    forgetEverything
+  };
+} else {
+  // Browser environment - attach to window
+  window.STORAGE = {
+    isStorageAvailable,
+    listSnapshots,
+    saveSnapshot,
+    loadSnapshot,
+    renameSnapshot,
+    setSnapshotAgent,
+    deleteSnapshot,
+    getPreference,
+    setPreference,
+    savePreference,
+    isPersistenceEnabled,
+    setPersistenceEnabled,
+    forgetEverything
+  };
+}
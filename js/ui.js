@@ -39,6 +39,96 @@ function showInventoryInterface() {
   if (titlePill) titlePill.style.display = 'inline-flex';
 }
 
+/**
+ * Dispatches a storage action for the saved inventories list
+ * @param {Object} detail - {action, id?, name?, enabled?}
+ */
+function dispatchStorageAction(detail) {
+  document.dispatchEvent(new CustomEvent('storageAction', { detail }));
+}
+
+/**
+ * Renders saved inventories and the opt-in controls on the upload screen
+ * @param {Array} records - Saved snapshot records from STORAGE.listSnapshots
+ * @param {Object} options - {available, enabled, status}
+ */
+function renderSavedSnapshots(records, options = {}) {
+  const { available = true, enabled = false, status = '' } = options;
+
+  const container = document.getElementById('savedSnapshots');
+  if (!container) return;
+
+  container.innerHTML = '';
+  if (!available) return;
+
+  // Opt-in toggle
+  const toggleLabel = document.createElement('label');
+  toggleLabel.className = 'saved-toggle';
+  const toggle = document.createElement('input');
+  toggle.type = 'checkbox';
+  toggle.checked = enabled;
+  toggle.addEventListener('change', () => {
+    dispatchStorageAction({ action: 'toggle', enabled: toggle.checked });
+  });
+  toggleLabel.appendChild(toggle);
+  toggleLabel.appendChild(document.createTextNode(' Remember loaded files on this device'));
+  container.appendChild(toggleLabel);
+
+  if (records.length > 0) {
+    const list = document.createElement('ul');
+    list.className = 'saved-list';
+
+    for (const record of records) {
+      const row = document.createElement('li');
+
+      // Editing the name in place renames the snapshot
+      const nameInput = document.createElement('input');
+      nameInput.type = 'text';
+      nameInput.className = 'saved-name';
+      nameInput.value = record.name;
+      nameInput.title = `${record.fileName} · ${UTILS.formatLocalTs(record.lastModified)}`;
+      nameInput.addEventListener('change', () => {
+        const name = nameInput.value.trim();
+        if (name) {
+          dispatchStorageAction({ action: 'rename', id: record.id, name });
+        } else {
+          nameInput.value = record.name;
+        }
+      });
+      row.appendChild(nameInput);
+
+      const openBtn = document.createElement('button');
+      openBtn.textContent = 'Open';
+      openBtn.addEventListener('click', () => dispatchStorageAction({ action: 'open', id: record.id }));
+      row.appendChild(openBtn);
+
+      const deleteBtn = document.createElement('button');
+      deleteBtn.className = 'sort-btn';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', () => dispatchStorageAction({ action: 'delete', id: record.id }));
+      row.appendChild(deleteBtn);
+
+      list.appendChild(row);
+    }
+
+    container.appendChild(list);
+  }
+
+  if (status) {
+    const statusEl = document.createElement('div');
+    statusEl.className = 'drag-hint';
+    statusEl.textContent = status;
+    container.appendChild(statusEl);
+  }
+
+  const forgetBtn = document.createElement('button');
+  forgetBtn.className = 'sort-btn saved-forget';
+  forgetBtn.textContent = 'Forget everything';
+  forgetBtn.title = 'Delete all saved inventories and settings from this browser';
+  forgetBtn.addEventListener('click', () => dispatchStorageAction({ action: 'forget' }));
+  container.appendChild(forgetBtn);
+}
+
 /**
  * Updates the total count pill in the header
  * @param {number} count - Total item count to display
@@ -53,19 +143,239 @@ function updateTotalCount(count) {
 /**
  * Updates the summary text display
  * @param {string} text - Text to display in summary
+ * @param {string} notice - Optional warning shown after the text (e.g. a search error)
  */
-function updateSummary(text) {
+function updateSummary(text, notice = '') {
   const summaryEl = document.getElementById('summary');
   if (summaryEl) {
     summaryEl.textContent = text;
+
+    if (notice) {
+      const noticeEl = document.createElement('div');
+      noticeEl.className = 'summary-notice';
+      noticeEl.textContent = notice;
+      summaryEl.appendChild(noticeEl);
+    }
+  }
+}
+
+/**
+ * Shows file loading progress with a cancel button
+ * @param {string} text - Progress message
+ * @param {number|null} fraction - Completed fraction (0-1), null for an indeterminate bar
+ */
+function showLoadProgress(text, fraction = null) {
+  const panel = document.getElementById('loadProgress');
+  if (!panel) return;
+
+  panel.hidden = false;
+  panel.classList.remove('error');
+  document.getElementById('loadProgressText').textContent = text;
+  document.getElementById('cancelLoad').hidden = false;
+
+  const bar = document.getElementById('loadProgressBar');
+  bar.hidden = false;
+  if (fraction === null) {
+    bar.removeAttribute('value');
+  } else {
+    bar.value = fraction;
+  }
+}
+
+/**
+ * Shows why a file failed to load in the progress panel
+ * @param {string} text - Error message
+ */
+function showLoadError(text) {
+  const panel = document.getElementById('loadProgress');
+  if (!panel) return;
+
+  panel.hidden = false;
+  panel.classList.add('error');
+  document.getElementById('loadProgressText').textContent = text;
+  document.getElementById('loadProgressBar').hidden = true;
+  document.getElementById('cancelLoad').hidden = true;
+}
+
+/**
+ * Hides the file loading progress panel
+ */
+function hideLoadProgress() {
+  const panel = document.getElementById('loadProgress');
+  if (panel) panel.hidden = true;
+}
+
+/**
+ * Creates the list of recycling suggestions for a capacity warning
+ * @param {Array} suggestions - Suggestions from DATA.findCapacityWarnings
+ * @param {number} excess - Slots the suggestions are meant to free
+ * @returns {HTMLElement} List element
+ */
+function createRecycleSuggestions(suggestions, excess) {
+  const list = document.createElement('ul');
+  list.className = 'warning-suggestions';
+
+  for (const suggestion of suggestions) {
+    const item = document.createElement('li');
+    item.textContent = `Recycle ${suggestion.recycle} × ${suggestion.displayType} · ${suggestion.label} ` +
+      `(${suggestion.count} held)`;
+    list.appendChild(item);
+  }
+
+  // The largest groups alone can't always free enough
+  const shortfall = excess - suggestions.reduce((sum, suggestion) => sum + suggestion.recycle, 0);
+  if (shortfall > 0) {
+    const item = document.createElement('li');
+    item.textContent = `…and ${shortfall} more from smaller groups`;
+    list.appendChild(item);
+  }
+
+  return list;
+}
+
+/**
+ * Creates a percentage input for the warning thresholds
+ * @param {string} name - Threshold name ('inventoryPercent' | 'containerPercent')
+ * @param {string} label - Label text
+ * @param {number} value - Current percentage
+ * @returns {HTMLElement} Label element containing the input
+ */
+function createThresholdInput(name, label, value) {
+  const wrapper = document.createElement('label');
+  wrapper.textContent = label;
+
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.name = name;
+  input.min = 1;
+  input.max = 100;
+  input.value = value;
+  wrapper.appendChild(input);
+  wrapper.appendChild(document.createTextNode('%'));
+
+  return wrapper;
+}
+
+/**
+ * Renders inventory headroom, over-full containers and recycling suggestions
+ * @param {Object|null} warnings - Result of DATA.findCapacityWarnings, null to hide the panel
+ * @param {Object} thresholds - {inventoryPercent, containerPercent}
+ */
+function renderWarnings(warnings, thresholds) {
+  const panel = document.getElementById('warnings');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+  panel.hidden = !warnings;
+  if (!warnings) return;
+
+  const { inventory, containers } = warnings;
+  const hasWarnings = inventory.excess > 0 || containers.length > 0;
+  panel.classList.toggle('active', hasWarnings);
+
+  // Overall headroom, always shown
+  const headroom = document.createElement('div');
+  headroom.className = 'warning-headroom';
+  headroom.textContent = `Inventory ${inventory.used} / ${inventory.capacity} · ${inventory.free} slots free`;
+  if (inventory.excess > 0) {
+    headroom.textContent += ` · ${inventory.excess} over your ${thresholds.inventoryPercent}% warning level`;
+  }
+  panel.appendChild(headroom);
+
+  if (inventory.suggestions.length > 0) {
+    panel.appendChild(createRecycleSuggestions(inventory.suggestions, inventory.excess));
+  }
+
+  for (const warning of containers) {
+    const row = document.createElement('div');
+    row.className = 'warning-container';
+
+    const text = document.createElement('span');
+    text.textContent = `${UTILS.formatResourceType(warning.container.type)} ${warning.container.name}: ` +
+      `${warning.used} / ${warning.container.capacity}, ${warning.excess} over your ${thresholds.containerPercent}% warning level`;
+    row.appendChild(text);
+
+    row.appendChild(createSortButton(() => 'Open', 'Open', false, () => {
+      document.dispatchEvent(new CustomEvent('viewChange', { detail: { view: 'containers' } }));
+      document.dispatchEvent(new CustomEvent('containerSelect', {
+        detail: { containerId: warning.container.id }
+      }));
+    }));
+
+    panel.appendChild(row);
+
+    if (warning.suggestions.length > 0) {
+      panel.appendChild(createRecycleSuggestions(warning.suggestions, warning.excess));
+    }
   }
+
+  // Threshold settings
+  const settings = document.createElement('details');
+  settings.className = 'warning-settings';
+  const summary = document.createElement('summary');
+  summary.textContent = 'Warning levels';
+  settings.appendChild(summary);
+
+  const inventoryInput = createThresholdInput('inventoryPercent', 'Inventory', thresholds.inventoryPercent);
+  const containerInput = createThresholdInput('containerPercent', 'Capsules', thresholds.containerPercent);
+  settings.appendChild(inventoryInput);
+  settings.appendChild(containerInput);
+
+  settings.addEventListener('change', () => {
+    const percent = (name, fallback) => {
+      const value = Math.round(Number(settings.querySelector(`input[name="${name}"]`).value));
+      return value >= 1 && value <= 100 ? value : fallback;
+    };
+
+    document.dispatchEvent(new CustomEvent('warningThresholdsChange', {
+      detail: {
+        inventoryPercent: percent('inventoryPercent', thresholds.inventoryPercent),
+        containerPercent: percent('containerPercent', thresholds.containerPercent)
+      }
+    }));
+  });
+
+  panel.appendChild(settings);
+}
+
+/**
+ * Shows the banner listing item types this app doesn't recognize, with their raw data
+ * @param {Array|null} unknownTypes - Result of DATA.findUnknownTypes, null to hide the banner
+ */
+function renderUnknownTypes(unknownTypes) {
+  const banner = document.getElementById('unknownTypes');
+  if (!banner) return;
+
+  banner.innerHTML = '';
+  banner.hidden = !unknownTypes || unknownTypes.length === 0;
+  if (banner.hidden) return;
+
+  const total = unknownTypes.reduce((sum, type) => sum + type.items.length, 0);
+  const names = unknownTypes.map(type => `${type.rawType || 'no resource type'} ×${type.items.length}`);
+
+  const text = document.createElement('div');
+  text.textContent = `${total} item${total === 1 ? '' : 's'} of unrecognized type${unknownTypes.length === 1 ? '' : 's'}: ` +
+    `${names.join(', ')}. They're listed in the Other section.`;
+  banner.appendChild(text);
+
+  // Raw data, so new items can be reported and added
+  const details = document.createElement('details');
+  const summary = document.createElement('summary');
+  summary.textContent = 'Raw data';
+  details.appendChild(summary);
+
+  const pre = document.createElement('pre');
+  pre.textContent = JSON.stringify(unknownTypes.flatMap(type => type.items), null, 2);
+  details.appendChild(pre);
+  banner.appendChild(details);
 }
 
 /**
  * Populates the rarity filter dropdown with available options
  * @param {Set} rarities - Set of available rarity values
+ * @param {string} selected - Rarity to keep selected, listed even if no item has it
  */
-function populateRarityFilter(rarities) {
+function populateRarityFilter(rarities, selected = '') {
   const filterRarity = document.getElementById('filterRarity');
   if (!filterRarity) return;
 
@@ -77,12 +387,432 @@ function populateRarityFilter(rarities) {
     .filter(r => r !== 'VERY_COMMON')
     .sort();
 
+  if (selected && !sortedRarities.includes(selected)) {
+    sortedRarities.push(selected);
+  }
+
   sortedRarities.forEach(rarity => {
     const option = document.createElement('option');
     option.value = rarity;
     option.textContent = CONSTANTS.RARITY.LABELS[rarity] || rarity;
     filterRarity.appendChild(option);
   });
+
+  filterRarity.value = selected;
+}
+
+/**
+ * Sets the filter controls, e.g. from a shared link
+ * @param {Object} filters - {rarity, hideCapsuled}
+ */
+function setFilterControls({ rarity = '', hideCapsuled = true }) {
+  const filterRarity = document.getElementById('filterRarity');
+  const hideCapsuledInput = document.getElementById('hideCapsuled');
+
+  if (filterRarity) {
+    // The option may not exist before any data is loaded
+    if (rarity && !Array.from(filterRarity.options).some(option => option.value === rarity)) {
+      const option = document.createElement('option');
+      option.value = rarity;
+      option.textContent = CONSTANTS.RARITY.LABELS[rarity] || rarity;
+      filterRarity.appendChild(option);
+    }
+    filterRarity.value = rarity;
+  }
+
+  if (hideCapsuledInput) hideCapsuledInput.checked = hideCapsuled;
+}
+
+/**
+ * Describes a level range
+ * @param {number|null} minLevel - Lowest level, null for no limit
+ * @param {number|null} maxLevel - Highest level, null for no limit
+ * @returns {string} e.g. "L8", "L7+", "L1-L6", or '' without limits
+ */
+function describeLevelRange(minLevel, maxLevel) {
+  if (minLevel && maxLevel) {
+    return minLevel === maxLevel ? `L${minLevel}` : `L${minLevel}-L${maxLevel}`;
+  }
+  if (minLevel) return `L${minLevel}+`;
+  if (maxLevel) return `L1-L${maxLevel}`;
+  return '';
+}
+
+/**
+ * Describes a type filter selection for the menu button
+ * @param {Object} selection - {types, subTypes, minLevel, maxLevel}
+ * @returns {string} e.g. "All types", "Mods · L7+" or "3 types"
+ */
+function describeTypeFilter({ types, subTypes, minLevel, maxLevel }) {
+  const typeLabels = [...types, ...subTypes.map(UTILS.formatResourceType)];
+  const parts = [];
+
+  if (typeLabels.length > 0) {
+    parts.push(typeLabels.length > 2 ? `${typeLabels.length} types` : typeLabels.join(', '));
+  }
+
+  const levelRange = describeLevelRange(minLevel, maxLevel);
+  if (levelRange) parts.push(levelRange);
+
+  return parts.length > 0 ? parts.join(' · ') : 'All types';
+}
+
+/**
+ * Creates a level select for the type filter menu
+ * @param {string} name - 'minLevel' | 'maxLevel'
+ * @param {string} label - Label text
+ * @param {Map} levelCounts - Items per level
+ * @param {number|null} selected - Selected level, null for any
+ * @returns {HTMLElement} Label element containing the select
+ */
+function createLevelSelect(name, label, levelCounts, selected) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'filter-option';
+  wrapper.textContent = label;
+
+  const select = document.createElement('select');
+  select.name = name;
+  select.innerHTML = '<option value="">Any</option>';
+
+  for (let level = 1; level <= CONSTANTS.ITEM_TYPES.MAX_LEVEL; level++) {
+    const option = document.createElement('option');
+    option.value = level;
+    option.textContent = `L${level} (${levelCounts.get(level) || 0})`;
+    select.appendChild(option);
+  }
+
+  select.value = selected ? String(selected) : '';
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
+/**
+ * Creates a checkbox option for the type filter menu
+ * @param {string} name - Selection the option belongs to ('types' | 'subTypes')
+ * @param {string|number} value - Option value
+ * @param {string} label - Option text
+ * @param {number} count - Matching items
+ * @param {boolean} checked - Whether the option is selected
+ * @returns {HTMLElement} Label element
+ */
+function createFilterOption(name, value, label, count, checked) {
+  const option = document.createElement('label');
+  option.className = name === 'subTypes' ? 'filter-option sub' : 'filter-option';
+
+  const input = document.createElement('input');
+  input.type = 'checkbox';
+  input.name = name;
+  input.value = value;
+  input.checked = checked;
+
+  const countEl = document.createElement('span');
+  countEl.className = 'filter-count';
+  countEl.textContent = count;
+
+  option.append(input, ` ${label} `, countEl);
+  return option;
+}
+
+/**
+ * Renders the type, sub-type and level filter menu
+ * @param {Object} options - Result of DATA.populateFilterOptions
+ * @param {Object} selection - Selected {types, subTypes, minLevel, maxLevel}; types are listed even if no item has them
+ */
+function renderTypeFilter(options, selection) {
+  const menu = document.getElementById('typeFilter');
+  if (!menu) return;
+
+  const { typeCounts, subTypeCounts, levelCounts } = options;
+  const open = menu.open;
+  menu.innerHTML = '';
+  menu.open = open;
+
+  const summary = document.createElement('summary');
+  summary.textContent = describeTypeFilter(selection);
+  menu.appendChild(summary);
+
+  const body = document.createElement('div');
+  body.className = 'filter-menu-body';
+
+  // Types in section order, each followed by its sub-types when it has several
+  const typeFieldset = document.createElement('fieldset');
+  typeFieldset.innerHTML = '<legend>Type</legend>';
+
+  const typeOrder = CONSTANTS.SORT_CONFIG.TYPE_ORDER;
+  const displayTypes = [...new Set([...typeCounts.keys(), ...selection.types])].sort((a, b) => {
+    const ia = typeOrder.indexOf(a);
+    const ib = typeOrder.indexOf(b);
+    return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib) || a.localeCompare(b);
+  });
+
+  for (const displayType of displayTypes) {
+    typeFieldset.appendChild(createFilterOption(
+      'types', displayType, displayType,
+      typeCounts.get(displayType) || 0,
+      selection.types.includes(displayType)
+    ));
+
+    const subTypes = subTypeCounts.get(displayType) || new Map();
+    const selectedHere = selection.subTypes.filter(rawType => UTILS.getDisplayType(rawType) === displayType);
+    const rawTypes = [...new Set([...subTypes.keys(), ...selectedHere])];
+    if (rawTypes.length < 2 && selectedHere.length === 0) continue;
+
+    rawTypes
+      .sort((a, b) => UTILS.formatResourceType(a).localeCompare(UTILS.formatResourceType(b)))
+      .forEach(rawType => {
+        typeFieldset.appendChild(createFilterOption(
+          'subTypes', rawType, UTILS.formatResourceType(rawType),
+          subTypes.get(rawType) || 0,
+          selection.subTypes.includes(rawType)
+        ));
+      });
+  }
+  body.appendChild(typeFieldset);
+
+  // Level range, with item counts per level
+  const levelFieldset = document.createElement('fieldset');
+  levelFieldset.innerHTML = '<legend>Level</legend>';
+  levelFieldset.appendChild(createLevelSelect('minLevel', 'From', levelCounts, selection.minLevel));
+  levelFieldset.appendChild(createLevelSelect('maxLevel', 'To', levelCounts, selection.maxLevel));
+  body.appendChild(levelFieldset);
+
+  const dispatchSelection = (next) => {
+    summary.textContent = describeTypeFilter(next);
+    const event = new CustomEvent('typeFilterChange', {
+      detail: next
+    });
+    document.dispatchEvent(event);
+  };
+
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.textContent = 'Clear';
+  clearBtn.addEventListener('click', () => {
+    body.querySelectorAll('input[type="checkbox"]').forEach(input => { input.checked = false; });
+    body.querySelectorAll('select').forEach(select => { select.value = ''; });
+    dispatchSelection({ types: [], subTypes: [], minLevel: null, maxLevel: null });
+  });
+  body.appendChild(clearBtn);
+
+  body.addEventListener('change', () => {
+    const checked = (name) => Array.from(body.querySelectorAll(`input[name="${name}"]:checked`))
+      .map(input => input.value);
+    const level = (name) => Number(body.querySelector(`select[name="${name}"]`).value) || null;
+
+    // A reversed range is taken to mean the same levels the other way round
+    let minLevel = level('minLevel');
+    let maxLevel = level('maxLevel');
+    if (minLevel && maxLevel && minLevel > maxLevel) {
+      [minLevel, maxLevel] = [maxLevel, minLevel];
+      body.querySelector('select[name="minLevel"]').value = String(minLevel);
+      body.querySelector('select[name="maxLevel"]').value = String(maxLevel);
+    }
+
+    dispatchSelection({
+      types: checked('types'),
+      subTypes: checked('subTypes'),
+      minLevel,
+      maxLevel
+    });
+  });
+
+  menu.appendChild(body);
+}
+
+/**
+ * Dispatches a reference location action for the location menu and item drawer
+ * @param {Object} detail - {action: 'use'|'select'|'delete'|'gps'|'set', text?, name?, save?, index?, point?}
+ */
+function dispatchLocationAction(detail) {
+  document.dispatchEvent(new CustomEvent('locationAction', { detail }));
+}
+
+/**
+ * Formats coordinates for display
+ * @param {Object} location - {lat, lon}
+ * @returns {string} e.g. "51.50735, -0.12776"
+ */
+function formatCoordinates({ lat, lon }) {
+  return `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+}
+
+/**
+ * Renders the menu that picks where key distances are measured from
+ * @param {Object} state - {gpsLocation, reference: manual point or null, points: saved [{name, lat, lon}], error, persistent}
+ */
+function renderLocationMenu(state) {
+  const menu = document.getElementById('locationMenu');
+  if (!menu) return;
+
+  const { gpsLocation = null, reference = null, points = [], error = '', persistent = false } = state;
+  const open = menu.open;
+  menu.innerHTML = '';
+  menu.open = open;
+
+  const summary = document.createElement('summary');
+  summary.textContent = reference ? `From: ${reference.name}` : gpsLocation ? 'From: GPS' : 'Set location';
+  menu.appendChild(summary);
+
+  const body = document.createElement('div');
+  body.className = 'filter-menu-body location-menu';
+
+  const status = document.createElement('p');
+  status.className = 'view-hint';
+  if (reference) {
+    status.textContent = `Distances from ${reference.name} (${formatCoordinates(reference)})`;
+  } else if (gpsLocation) {
+    status.textContent = `Distances from your GPS location (${formatCoordinates(gpsLocation)})`;
+  } else {
+    status.textContent = 'No location yet: allow location access, or enter one below';
+  }
+  body.appendChild(status);
+
+  if (reference) {
+    body.appendChild(createSortButton(
+      () => 'Use GPS',
+      gpsLocation ? 'Use GPS' : 'Clear',
+      false,
+      () => dispatchLocationAction({ action: 'gps' })
+    ));
+  }
+
+  // Coordinates, an intel link, or a saved point
+  const entryFieldset = document.createElement('fieldset');
+  entryFieldset.innerHTML = '<legend>Location</legend>';
+
+  const textInput = document.createElement('input');
+  textInput.type = 'text';
+  textInput.placeholder = 'lat,lon or Intel link';
+  textInput.title = 'Coordinates, or a link from the Intel map (the portal if one is selected, else the map centre)';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.placeholder = 'Name, e.g. Home';
+
+  const submit = (save) => dispatchLocationAction({
+    action: 'use',
+    text: textInput.value.trim(),
+    name: nameInput.value.trim(),
+    save
+  });
+  textInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') submit(false);
+  });
+
+  entryFieldset.append(
+    textInput,
+    nameInput,
+    createSortButton(() => 'Use', 'Use', false, () => submit(false)),
+    createSortButton(() => 'Save', 'Save', false, () => submit(true))
+  );
+  body.appendChild(entryFieldset);
+
+  if (!persistent) {
+    const note = document.createElement('p');
+    note.className = 'view-hint';
+    note.textContent = 'Saved points are kept for this visit only unless "Remember loaded files" is on (upload screen).';
+    body.appendChild(note);
+  }
+
+  if (error) {
+    const errorEl = document.createElement('p');
+    errorEl.className = 'view-error';
+    errorEl.textContent = error;
+    body.appendChild(errorEl);
+  }
+
+  if (points.length > 0) {
+    const savedFieldset = document.createElement('fieldset');
+    savedFieldset.innerHTML = '<legend>Saved</legend>';
+
+    points.forEach((point, index) => {
+      const row = document.createElement('div');
+      row.className = 'location-point';
+
+      const label = document.createElement('span');
+      label.textContent = point.name;
+      label.title = formatCoordinates(point);
+
+      const isActive = reference?.name === point.name &&
+                       reference.lat === point.lat && reference.lon === point.lon;
+      row.append(
+        label,
+        createSortButton(() => 'In use', 'Use', isActive, () => dispatchLocationAction({ action: 'select', index })),
+        createSortButton(() => 'Delete', 'Delete', false, () => dispatchLocationAction({ action: 'delete', index }))
+      );
+      savedFieldset.appendChild(row);
+    });
+
+    body.appendChild(savedFieldset);
+  }
+
+  menu.appendChild(body);
+}
+
+/**
+ * Populates the snapshot dropdown with every loaded inventory file
+ * @param {Array} snapshots - Loaded snapshots
+ * @param {string} activeId - ID of the snapshot currently displayed
+ */
+function populateSnapshotSelect(snapshots, activeId) {
+  const select = document.getElementById('snapshotSelect');
+  if (!select) return;
+
+  select.innerHTML = '';
+
+  snapshots.forEach(snapshot => {
+    const option = document.createElement('option');
+    option.value = snapshot.id;
+    option.textContent = snapshot.label;
+    select.appendChild(option);
+  });
+
+  select.value = activeId || '';
+
+  // A single file needs no picker
+  select.style.display = snapshots.length > 1 ? '' : 'none';
+}
+
+/**
+ * Renders the tab bar used to switch between views
+ * @param {string} activeView - ID of the active view
+ */
+function renderViewTabs(activeView) {
+  const nav = document.getElementById('viewTabs');
+  if (!nav) return;
+
+  nav.innerHTML = '';
+
+  for (const view of CONSTANTS.UI_CONFIG.VIEWS) {
+    const tab = createSortButton(
+      () => view.label,
+      view.label,
+      view.id === activeView,
+      () => {
+        const event = new CustomEvent('viewChange', {
+          detail: { view: view.id }
+        });
+        document.dispatchEvent(event);
+      }
+    );
+    nav.appendChild(tab);
+  }
+}
+
+/**
+ * Shows the item grid for the inventory view and the view panel for all others
+ * @param {string} activeView - ID of the active view
+ */
+function showView(activeView) {
+  const itemsEl = document.getElementById('items');
+  const panel = document.getElementById('viewPanel');
+  const isInventory = activeView === 'inventory';
+
+  if (itemsEl) itemsEl.classList.toggle('view-hidden', !isInventory);
+  if (panel) {
+    panel.classList.toggle('view-hidden', isInventory);
+    if (isInventory) panel.innerHTML = '';
+  }
 }
 
 /**
@@ -115,27 +845,6 @@ function createSortButton(labelActive, labelInactive, isActive, onToggle) {
   return button;
 }
 
-/**
- * Creates keys search input with event handlers
- * @param {string} currentQuery - Current search query
- * @param {Function} onSearch - Search handler function
- * @returns {HTMLElement} Search input element
- */
-function createKeySearchInput(currentQuery, onSearch) {
-  const searchInput = document.createElement('input');
-  searchInput.type = 'text';
-  searchInput.id = 'keySearch';
-  searchInput.className = 'key-search';
-  searchInput.placeholder = 'Search keys...';
-  searchInput.value = currentQuery;
-
-  // Use debounced search handler
-  const debouncedSearch = UTILS.debounce(onSearch, CONSTANTS.UI_CONFIG.SEARCH_DEBOUNCE_MS);
-  searchInput.addEventListener('input', debouncedSearch);
-
-  return searchInput;
-}
-
 /**
  * Creates count pill overlay for items
  * @param {number} count - Number to display
@@ -196,118 +905,12 @@ function createTitlePill(text, isMedia = false) {
  * @returns {string|null} Image URL or null if none found
  */
 function findImage(meta) {
-  const { ASSET_PATHS } = CONSTANTS;
-
   // Prefer explicit/remote images first
   if (meta.imageByUrl?.imageUrl) {
     return meta.imageByUrl.imageUrl.replace(/^http:/, 'https:');
   }
 
-  if (meta.portalCoupler?.portalImageUrl) {
-    return meta.portalCoupler.portalImageUrl.replace(/^http:/, 'https:');
-  }
-
-  if (meta.storyItem?.primaryUrl?.match(/\.(png|jpg|jpeg|gif)$/i)) {
-    return meta.storyItem.primaryUrl;
-  }
-
-  // Helper for rarity filenames
-  const rarityName = (rarity) => {
-    const rarityMap = {
-      'COMMON': 'Common',
-      'RARE': 'Rare',
-      'VERY_RARE': 'Very_Rare'
-    };
-    return rarityMap[rarity] || null;
-  };
-
-  // Level-based items
-  if (meta.resourceWithLevels?.resourceType) {
-    const type = meta.resourceWithLevels.resourceType;
-    const level = meta.resourceWithLevels.level;
-
-    if (ASSET_PATHS.LEVEL_ITEMS[type] && level) {
-      return ASSET_PATHS.LEVEL_ITEMS[type](level);
-    }
-  }
-
-  // Mod items
-  if (meta.modResource?.resourceType) {
-    const type = meta.modResource.resourceType;
-    const rarity = rarityName(meta.modResource.rarity);
-
-    // Handle special shields
-    if (type === 'EXTRA_SHIELD') {
-      const name = (meta.modResource.displayName || '').toLowerCase();
-      if (name.includes('aegis')) return ASSET_PATHS.SPECIAL_ITEMS.AEGIS_SHIELD;
-      if (name.includes('axa')) return ASSET_PATHS.SPECIAL_ITEMS.AXA_SHIELD;
-      return 'assets/images/Portal_Shield_Very_Rare.webp'; // Fallback
-    }
-
-    // Handle rarity-based mods
-    if (ASSET_PATHS.MOD_ITEMS[type] && rarity) {
-      return ASSET_PATHS.MOD_ITEMS[type](rarity);
-    }
-
-    // Handle special items
-    const specialKey = type.replace('_', '_').toUpperCase();
-    if (ASSET_PATHS.SPECIAL_ITEMS[specialKey]) {
-      return ASSET_PATHS.SPECIAL_ITEMS[specialKey];
-    }
-  }
-
-  // Capsules
-  if (meta.resource?.resourceType) {
-    const type = meta.resource.resourceType;
-    const rarity = meta.resource.resourceRarity || '';
-
-    if (type === 'CAPSULE') return ASSET_PATHS.SPECIAL_ITEMS.CAPSULE;
-    if (type === 'KEY_CAPSULE') return ASSET_PATHS.SPECIAL_ITEMS.KEY_CAPSULE;
-
-    if (type === 'KINETIC_CAPSULE') {
-      return rarity === 'RARE' ?
-             ASSET_PATHS.SPECIAL_ITEMS.KINETIC_CAPSULE_RARE :
-             ASSET_PATHS.SPECIAL_ITEMS.KINETIC_CAPSULE;
-    }
-  }
-
-  // Portal Powerups
-  if (meta.resource?.resourceType === 'PORTAL_POWERUP') {
-    const designation = meta.timedPowerupResource?.designation;
-
-    if (designation === 'FRACK') return ASSET_PATHS.SPECIAL_ITEMS.PORTAL_FRACKER;
-
-    // Handle beacons
-    if (ASSET_PATHS.BEACONS[designation]) {
-      return `assets/images/${ASSET_PATHS.BEACONS[designation]}`;
-    }
-
-    // Battle Beacon
-    if (designation === 'BB_BATTLE') {
-      const rarity = meta.resource?.resourceRarity || '';
-      return ASSET_PATHS.BATTLE_BEACONS[rarity] || ASSET_PATHS.BATTLE_BEACONS.VERY_RARE;
-    }
-  }
-
-  // Player Powerups
-  if (meta.resource?.resourceType === 'PLAYER_POWERUP') {
-    const powerupEnum = meta.playerPowerupResource?.playerPowerupEnum;
-    if (powerupEnum === 'APEX') return ASSET_PATHS.SPECIAL_ITEMS.APEX;
-  }
-
-  // Flip Cards
-  if (meta.resource?.resourceType === 'FLIP_CARD') {
-    const flipType = meta.flipCard?.flipCardType;
-    if (flipType === 'ADA') return ASSET_PATHS.SPECIAL_ITEMS.ADA;
-    if (flipType === 'JARVIS') return ASSET_PATHS.SPECIAL_ITEMS.JARVIS;
-  }
-
-  // Boosted Power Cube
-  if (meta.resource?.resourceType === 'BOOSTED_POWER_CUBE') {
-    return ASSET_PATHS.SPECIAL_ITEMS.LAWSON_CUBE;
-  }
-
-  return null;
+  return REGISTRY.imageOf(meta);
 }
 
 /**
@@ -353,28 +956,29 @@ function createThumbnail(meta, itemId) {
  * @param {Array} items - All items in this group
  * @param {string} displayType - Type category
  * @param {Object} userLocation - User's location for distance calc
+ * @param {Object} gmeta - Group metadata
  * @returns {HTMLElement} Metadata div element
  */
-function createMetadata(title, meta, items, displayType, userLocation) {
+function createMetadata(title, meta, items, displayType, userLocation, gmeta = {}) {
   const metaDiv = document.createElement('div');
   metaDiv.className = 'meta';
 
   const titleEl = document.createElement('h3');
   titleEl.textContent = title;
+  titleEl.title = title;
   metaDiv.appendChild(titleEl);
 
   const small = document.createElement('div');
   small.className = 'small';
 
-  const infoItems = [];
+  // One line each, so cards keep the fixed row height of the inventory list
+  const infoLines = [];
 
-  // Add portal address for keys
+  // Add portal address for keys (cut to one line; the full address is its tooltip)
   if (meta.portalCoupler?.portalAddress) {
-    infoItems.push(meta.portalCoupler.portalAddress);
+    infoLines.push(meta.portalCoupler.portalAddress);
   }
 
-  let infoHtml = infoItems.filter(Boolean).join(' · ');
-
   // Add acquisition timestamp for keys
   if (displayType === 'Keys') {
     try {
@@ -382,7 +986,7 @@ function createMetadata(title, meta, items, displayType, userLocation) {
                     items.reduce((max, item) => Math.max(max, Number(item.ts) || 0), 0) : 0;
 
       if (lastTs > 0) {
-        infoHtml += (infoHtml ? '<br>' : '') + `Last Acquired: ${UTILS.formatLocalTs(lastTs)}`;
+        infoLines.push(`Last Acquired: ${UTILS.formatLocalTs(lastTs)}`);
       }
     } catch (error) {
       // Timestamp formatting failed - skip display
@@ -400,44 +1004,90 @@ function createMetadata(title, meta, items, displayType, userLocation) {
         location.lon
       );
       const miles = UTILS.kmToMiles(km);
-      infoHtml += (infoHtml ? '<br>' : '') +
-                  `Distance: ${km.toFixed(2)}km / ${miles.toFixed(2)} miles`;
+      infoLines.push(`${userLocation.name ? `Distance from ${userLocation.name}` : 'Distance'}: ` +
+                     `${km.toFixed(2)}km / ${miles.toFixed(2)} miles`);
     }
   }
 
-  small.innerHTML = infoHtml;
+  for (const text of infoLines) {
+    const line = document.createElement('div');
+    line.className = 'meta-line';
+    line.textContent = text;
+    line.title = text;
+    small.appendChild(line);
+  }
   metaDiv.appendChild(small);
 
-  // Add tags container (currently unused but preserved for future use)
+  // Add tags container
   const tags = document.createElement('div');
   tags.className = 'tags';
+
+  // Unrecognized items show their raw type, since there's no name or image for them
+  if (displayType === CONSTANTS.ITEM_TYPES.DISPLAY_TYPES.OTHER) {
+    const tag = document.createElement('span');
+    tag.className = 'tag';
+    tag.textContent = `Unrecognized: ${gmeta.rawType || 'no resource type'}`;
+    tag.title = 'This item type is newer than the app; see the banner above for its raw data';
+    tags.appendChild(tag);
+  }
+
+  // Flag keys whose portal shares its title with other portals
+  if (gmeta.sharedTitleCount > 1) {
+    const tag = document.createElement('span');
+    tag.className = 'tag';
+    tag.textContent = `1 of ${gmeta.sharedTitleCount} portals with this name`;
+    tag.title = 'Different portals share this title; check the address and distance';
+    tags.appendChild(tag);
+  }
+
   metaDiv.appendChild(tags);
 
   return metaDiv;
 }
 
 /**
- * Creates a single item card
- * @param {Object} params - Card parameters
- * @returns {HTMLElement} Card article element
+ * Whether a type's cards are thumbnail-only
+ * @param {string} displayType - Type category
+ * @returns {boolean} True for compact cards
  */
-function createItemCard({
-  groupKey,
-  groupValue,
-  hideCapsuled,
-  displayType,
-  userLocation
-}) {
-  const { items, gmeta } = groupValue;
+function isCompactType(displayType) {
+  return ['Powerups', 'Capsules', 'Resonators', 'Weapons', 'Cubes', 'Mods', 'Media'].includes(displayType);
+}
 
-  // Sort by timestamp and select representative item
+// Group each rendered card shows; cached cards are reused across renders, so this is kept current
+const cardGroups = new WeakMap();
+
+/**
+ * Selects the item a card shows: the newest, preferring uncapsuled copies when capsuled ones are hidden
+ * @param {Array} items - Group items
+ * @param {boolean} hideCapsuled - Whether capsuled items are hidden
+ * @returns {Object} Representative item
+ */
+function pickRepresentative(items, hideCapsuled) {
   const preferred = hideCapsuled ?
                    items.filter(item => !UTILS.isCapsuled(item.meta)) :
                    items;
 
   const repList = preferred.length ? preferred : items;
-  repList.sort((a, b) => Number(b.ts) - Number(a.ts));
-  const representative = repList[0];
+  return repList.reduce((newest, item) => Number(item.ts) > Number(newest.ts) ? item : newest);
+}
+
+/**
+ * Creates a single item card
+ * @param {Object} params - Card parameters
+ * @returns {HTMLElement} Card article element
+ */
+function createItemCard({
+  groupKey,
+  groupValue,
+  hideCapsuled,
+  displayType,
+  userLocation
+}) {
+  const { items, gmeta } = groupValue;
+
+  // Select representative item
+  const representative = pickRepresentative(items, hideCapsuled);
 
   const { id, ts, meta } = representative;
 
@@ -446,13 +1096,11 @@ function createItemCard({
   card.className = 'card';
 
   // Determine card type for styling
-  const isPowerup = gmeta.displayType === 'Powerups';
-  const isCapsules = gmeta.displayType === 'Capsules';
   const isOverlayType = ['Resonators', 'Weapons', 'Cubes'].includes(gmeta.displayType);
   const isMod = gmeta.displayType === 'Mods';
   const isMedia = gmeta.displayType === 'Media';
 
-  const isCompact = isPowerup || isCapsules || isOverlayType || isMod || isMedia;
+  const isCompact = isCompactType(gmeta.displayType);
   if (isCompact) card.classList.add('compact');
 
   // Create thumbnail
@@ -494,140 +1142,1605 @@ function createItemCard({
       meta,
       items,
       displayType,
-      userLocation
+      userLocation,
+      gmeta
     );
     card.appendChild(metaDiv);
   }
 
+  // Clicking a card lists every copy in its group
+  cardGroups.set(card, groupValue);
+  card.classList.add('card-clickable');
+  card.tabIndex = 0;
+  card.title = 'Show every copy';
+
+  const openDetail = () => {
+    document.dispatchEvent(new CustomEvent('itemDetailOpen', {
+      detail: { group: cardGroups.get(card) }
+    }));
+  };
+  card.addEventListener('click', openDetail);
+  card.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') openDetail();
+  });
+
   return card;
 }
 
+/**
+ * Formats a mod's stats, e.g. "Mitigation 30 · Removal Stickiness 0"
+ * @param {Object} modResource - modResource metadata of the item
+ * @returns {string} Stats, or an empty string for items without any
+ */
+function formatModStats(modResource) {
+  return Object.entries(modResource?.stats || {})
+    .map(([stat, value]) => `${UTILS.formatResourceType(stat)} ${value}`)
+    .join(' · ');
+}
+
+/**
+ * Opens the detail drawer listing every copy in a group, or closes it
+ * @param {Object|null} group - {items, gmeta} from groupItems, null to close the drawer
+ * @param {Object} options - {containers: index from DATA.buildContainerIndex}
+ */
+function renderItemDrawer(group, options = {}) {
+  const drawer = document.getElementById('itemDrawer');
+  if (!drawer) return;
+
+  drawer.innerHTML = '';
+  drawer.hidden = !group;
+  if (!group) return;
+
+  const { containers = new Map() } = options;
+  const { items, gmeta } = group;
+
+  const header = document.createElement('div');
+  header.className = 'drawer-header';
+
+  const title = document.createElement('h2');
+  title.textContent = DATA.describeGroup(gmeta);
+  header.appendChild(title);
+
+  // A key's portal can be the point distances are measured from
+  const located = items.find(item => item.meta.portalCoupler?.portalLocation);
+  const portalLocation = located ? UTILS.decodePortalLocation(located.meta.portalCoupler.portalLocation) : null;
+  if (portalLocation) {
+    header.appendChild(createSortButton(() => 'Measure distances from here', 'Measure distances from here', false, () => {
+      dispatchLocationAction({
+        action: 'set',
+        point: { name: located.meta.portalCoupler.portalTitle || title.textContent, ...portalLocation }
+      });
+    }));
+  }
+
+  const closeBtn = createSortButton(() => 'Close', 'Close', false, () => renderItemDrawer(null));
+  header.appendChild(closeBtn);
+  drawer.appendChild(header);
+
+  const capsuled = items.filter(item => item.meta._storedIn).length;
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  hint.textContent = [
+    `${items.length} ${items.length === 1 ? 'copy' : 'copies'}`,
+    capsuled > 0 ? `${capsuled} in containers` : '',
+    gmeta.rawType,
+    gmeta.address
+  ].filter(Boolean).join(' · ');
+  drawer.appendChild(hint);
+
+  // Stats only mean something for mods
+  const showStats = items.some(item => formatModStats(item.meta.modResource));
+
+  const table = document.createElement('table');
+  table.className = 'data-table drawer-table';
+
+  const headRow = document.createElement('tr');
+  for (const heading of ['Item ID', 'Acquired', 'Stored in', ...(showStats ? ['Stats'] : []), 'Raw']) {
+    const th = document.createElement('th');
+    th.textContent = heading;
+    headRow.appendChild(th);
+  }
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  // Newest first, like the card's representative
+  const sorted = [...items].sort((a, b) => (Number(b.ts) || 0) - (Number(a.ts) || 0));
+
+  const tbody = document.createElement('tbody');
+  for (const { id, ts, meta, item } of sorted) {
+    const tr = document.createElement('tr');
+    const cells = [
+      id,
+      UTILS.formatLocalTs(ts),
+      DATA.describeStorage(meta._storedIn || null, containers),
+      ...(showStats ? [formatModStats(meta.modResource)] : [])
+    ];
+
+    cells.forEach((text, index) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      if (index === 0) td.className = 'drawer-id';
+      tr.appendChild(td);
+    });
+
+    // Raw JSON is built when opened, since groups can hold thousands of copies
+    const rawCell = document.createElement('td');
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = 'JSON';
+    details.appendChild(summary);
+
+    const pre = document.createElement('pre');
+    details.appendChild(pre);
+    details.addEventListener('toggle', () => {
+      if (details.open && !pre.textContent) pre.textContent = JSON.stringify(item, null, 2);
+    });
+
+    rawCell.appendChild(details);
+    tr.appendChild(rawCell);
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  drawer.appendChild(table);
+
+  drawer.onkeydown = (event) => {
+    if (event.key === 'Escape') renderItemDrawer(null);
+  };
+  closeBtn.focus();
+}
+
+/**
+ * Creates a type section header with its count pill
+ * @param {string} displayType - Section type
+ * @param {number} count - Number of items in the section
+ * @returns {HTMLElement} Header element
+ */
+function createSectionHeader(displayType, count) {
+  const header = document.createElement('h2');
+  header.textContent = displayType;
+
+  // Add count pill to header
+  const pill = document.createElement('span');
+  pill.textContent = String(count);
+  pill.style.cssText = 'background: var(--accent); color: white; padding: 2px 6px; border-radius: 999px; font-size: 11px; margin-left: 8px;';
+  header.appendChild(pill);
+
+  return header;
+}
+
+// Virtualized inventory state: section views by type and cached cards by type|groupKey
+const inventoryView = {
+  sections: new Map(),
+  cards: new Map(),
+  hideCapsuled: false,
+  userLocation: null,
+  scrollWatched: false,
+  frameRequested: false
+};
+
 /**
  * Renders the complete inventory display
- * @param {Map} typeBuckets - Grouped inventory data
+ * @param {Array} sections - Visible sections from DATA.selectVisibleSections
  * @param {Object} options - Rendering options
  */
-function renderInventory(typeBuckets, options = {}) {
+function renderInventory(sections, options = {}) {
   const {
     filters = {},
     sortConfig = {},
-    userLocation = null,
-    keySearchQuery = ''
+    userLocation = null
   } = options;
 
   const itemsEl = document.getElementById('items');
   if (!itemsEl) return;
 
-  // Clear existing content
-  itemsEl.innerHTML = '';
+  watchInventoryScroll();
+
+  const { ROW_HEIGHT, COMPACT_ROW_HEIGHT } = CONSTANTS.UI_CONFIG.VIRTUAL_LIST;
+  const activeCardKeys = new Set();
+
+  for (const { displayType, entries, totalCount } of sections) {
+    // Reuse the section from the last render (unless the list was cleared since)
+    let view = inventoryView.sections.get(displayType);
+    if (!view || !itemsEl.contains(view.section)) {
+      view = {
+        section: document.createElement('section'),
+        header: null,
+        list: document.createElement('div'),
+        rendered: new Map()
+      };
+      view.section.className = `type-section type-${displayType.toLowerCase()}`;
+      view.list.className = 'card-list';
+      view.section.appendChild(view.list);
+      inventoryView.sections.set(displayType, view);
+    }
 
-  const typeOrder = CONSTANTS.SORT_CONFIG.TYPE_ORDER;
+    // Create section header
+    const header = createSectionHeader(displayType, totalCount);
+
+    // Add sort buttons for keys
+    if (displayType === 'Keys') {
+      addKeySortButtons(header, sortConfig);
+    }
+
+    if (view.header) {
+      view.section.replaceChild(header, view.header);
+    } else {
+      view.section.insertBefore(header, view.list);
+    }
+    view.header = header;
+
+    view.displayType = displayType;
+    view.entries = entries;
+    view.rowHeight = isCompactType(displayType) ? COMPACT_ROW_HEIGHT : ROW_HEIGHT;
+    view.list.style.height = `${entries.length * view.rowHeight}px`;
+
+    // Keep sections in display order (appending moves existing ones)
+    itemsEl.appendChild(view.section);
+
+    for (const [groupKey] of entries) {
+      activeCardKeys.add(`${displayType}|${groupKey}`);
+    }
+  }
+
+  // Drop sections that are no longer shown
+  const shownTypes = new Set(sections.map(section => section.displayType));
+  for (const [displayType, view] of inventoryView.sections) {
+    if (!shownTypes.has(displayType)) {
+      view.section.remove();
+      inventoryView.sections.delete(displayType);
+    }
+  }
+
+  // Forget cards for groups that were filtered out
+  for (const cardKey of inventoryView.cards.keys()) {
+    if (!activeCardKeys.has(cardKey)) inventoryView.cards.delete(cardKey);
+  }
+
+  inventoryView.hideCapsuled = filters.hideCapsuled;
+  inventoryView.userLocation = userLocation;
+
+  updateVisibleCards();
+}
+
+/**
+ * Describes what a card shows, so a cached card can be reused while it still matches
+ * @param {Object} groupValue - {items, gmeta}
+ * @param {boolean} hideCapsuled - Whether capsuled items are hidden
+ * @param {Object|null} userLocation - User's location for distance display
+ * @returns {string} Signature of the card's content
+ */
+function cardSignature({ items, gmeta }, hideCapsuled, userLocation) {
+  const representative = pickRepresentative(items, hideCapsuled);
+  const lastTs = items.reduce((max, item) => Math.max(max, Number(item.ts) || 0), 0);
+
+  return [
+    items.length,
+    representative.id,
+    representative.meta._storedIn?.containerId || '',
+    lastTs,
+    gmeta.sharedTitleCount || 1,
+    userLocation ? `${userLocation.name || ''}@${userLocation.lat},${userLocation.lon}` : ''
+  ].join('|');
+}
+
+/**
+ * Renders the cards of each section that are in or near the viewport, removing the rest
+ */
+function updateVisibleCards() {
+  const { ROW_GAP, OVERSCAN_ROWS } = CONSTANTS.UI_CONFIG.VIRTUAL_LIST;
+  const viewportHeight = window.innerHeight || document.documentElement.clientHeight;
+
+  for (const view of inventoryView.sections.values()) {
+    const { list, entries, rowHeight, displayType } = view;
+
+    // Rows between the top and bottom of the viewport
+    const listTop = list.getBoundingClientRect().top;
+    const first = Math.max(0, Math.floor(-listTop / rowHeight) - OVERSCAN_ROWS);
+    const last = Math.min(entries.length, Math.ceil((viewportHeight - listTop) / rowHeight) + OVERSCAN_ROWS);
+
+    const visible = new Map();
+
+    for (let index = first; index < last; index++) {
+      const [groupKey, groupValue] = entries[index];
+      const cardKey = `${displayType}|${groupKey}`;
+      const signature = cardSignature(groupValue, inventoryView.hideCapsuled, inventoryView.userLocation);
+
+      let cached = inventoryView.cards.get(cardKey);
+      if (!cached || cached.signature !== signature) {
+        const card = createItemCard({
+          groupKey,
+          groupValue,
+          hideCapsuled: inventoryView.hideCapsuled,
+          displayType,
+          userLocation: inventoryView.userLocation
+        });
+        card.classList.add('virtual-card');
+        card.style.height = `${rowHeight - ROW_GAP}px`;
+
+        cached = { card, signature };
+        inventoryView.cards.set(cardKey, cached);
+      }
+
+      cardGroups.set(cached.card, groupValue);
+      cached.card.style.top = `${index * rowHeight}px`;
+      if (cached.card.parentNode !== list) list.appendChild(cached.card);
+      visible.set(groupKey, cached.card);
+    }
+
+    // Remove cards that scrolled out of range (or were replaced)
+    for (const [groupKey, card] of view.rendered) {
+      if (visible.get(groupKey) !== card) card.remove();
+    }
+    view.rendered = visible;
+  }
+}
 
-  for (const displayType of typeOrder) {
-    if (!typeBuckets.has(displayType)) continue;
+/**
+ * Updates the rendered cards on scroll and resize, once per animation frame
+ */
+function watchInventoryScroll() {
+  if (inventoryView.scrollWatched) return;
+  inventoryView.scrollWatched = true;
 
-    const grouped = typeBuckets.get(displayType);
-    let entries = Array.from(grouped.entries());
+  const schedule = () => {
+    if (inventoryView.frameRequested) return;
+    inventoryView.frameRequested = true;
+
+    requestAnimationFrame(() => {
+      inventoryView.frameRequested = false;
+      updateVisibleCards();
+    });
+  };
+
+  window.addEventListener('scroll', schedule, { passive: true });
+  window.addEventListener('resize', schedule);
+}
+
+/**
+ * Offers generated content as a file download
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File content
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(fileName, content, mimeType) {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Creates a labelled snapshot picker for the diff view
+ * @param {string} label - Picker label
+ * @param {string} role - 'base' or 'target'
+ * @param {Array} snapshots - Loaded snapshots
+ * @param {string} selectedId - Currently selected snapshot ID
+ * @returns {HTMLElement} Label element wrapping the select
+ */
+function createSnapshotPicker(label, role, snapshots, selectedId) {
+  const wrapper = document.createElement('label');
+  wrapper.textContent = label;
 
-    // Sort entries based on type-specific rules
-    entries = DATA.sortTypeGroups(entries, displayType, sortConfig, userLocation);
+  const select = document.createElement('select');
+  snapshots.forEach(snapshot => {
+    const option = document.createElement('option');
+    option.value = snapshot.id;
+    option.textContent = snapshot.label;
+    select.appendChild(option);
+  });
+  select.value = selectedId || '';
 
-    // Apply hide capsuled filter
-    const displayedEntries = entries.filter(([key, groupValue]) => {
-      return !filters.hideCapsuled ||
-             groupValue.items.some(item => !UTILS.isCapsuled(item.meta));
+  select.addEventListener('change', () => {
+    const event = new CustomEvent('diffSelectionChange', {
+      detail: { role, snapshotId: select.value }
     });
+    document.dispatchEvent(event);
+  });
+
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
+/**
+ * Renders the diff between two inventory snapshots
+ * @param {Object|null} diff - Result of DATA.diffInventories, null if nothing to compare
+ * @param {Object} options - Rendering options
+ */
+function renderDiff(diff, options = {}) {
+  const {
+    snapshots = [],
+    baseId = '',
+    targetId = '',
+    containers = new Map()
+  } = options;
+
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
 
-    if (displayedEntries.length === 0) continue;
+  panel.innerHTML = '';
+
+  if (snapshots.length < 2) {
+    const hint = document.createElement('p');
+    hint.className = 'view-hint';
+    hint.textContent = 'Add another inventory file to compare exports.';
+    panel.appendChild(hint);
+    return;
+  }
+
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+  controls.appendChild(createSnapshotPicker('Before', 'base', snapshots, baseId));
+  controls.appendChild(createSnapshotPicker('After', 'target', snapshots, targetId));
+  panel.appendChild(controls);
+
+  const totals = document.createElement('p');
+  totals.className = 'view-hint';
+  totals.textContent = `+${diff.gained} gained · −${diff.lost} lost · ${diff.moved.length} keys moved`;
+  panel.appendChild(totals);
+
+  // Known types first, in the usual section order
+  const typeOrder = CONSTANTS.SORT_CONFIG.TYPE_ORDER;
+  const displayTypes = [...diff.changes.keys()].sort((a, b) => {
+    const orderA = typeOrder.includes(a) ? typeOrder.indexOf(a) : typeOrder.length;
+    const orderB = typeOrder.includes(b) ? typeOrder.indexOf(b) : typeOrder.length;
+    return orderA - orderB || a.localeCompare(b);
+  });
+
+  for (const displayType of displayTypes) {
+    const rows = diff.changes.get(displayType);
+    const entries = DATA.sortTypeGroups(
+      rows.map(row => [row.groupKey, row]),
+      displayType,
+      options.sortConfig,
+      options.userLocation
+    );
 
-    // Create section
     const section = document.createElement('section');
-    section.className = `type-section type-${displayType.toLowerCase()}`;
+    section.className = 'diff-section';
 
-    // Create section header
     const header = document.createElement('h2');
-    const sectionCount = entries.reduce((sum, entry) => sum + entry[1].items.length, 0);
     header.textContent = displayType;
+    section.appendChild(header);
 
-    // Add count pill to header
-    const pill = document.createElement('span');
-    pill.textContent = String(sectionCount);
-    pill.style.cssText = 'background: var(--accent); color: white; padding: 2px 6px; border-radius: 999px; font-size: 11px; margin-left: 8px;';
-    header.appendChild(pill);
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.innerHTML = '<thead><tr><th>Item</th><th>Before</th><th>After</th><th>Change</th></tr></thead>';
+
+    const tbody = document.createElement('tbody');
+    for (const [, row] of entries) {
+      const tr = document.createElement('tr');
+      const change = row.after - row.before;
+      const cells = [
+        DATA.describeGroup(row.gmeta),
+        String(row.before),
+        String(row.after),
+        change > 0 ? `+${change}` : `−${-change}`
+      ];
+
+      cells.forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
+      });
 
-    // Add sort buttons for keys
-    if (displayType === 'Keys') {
-      addKeySortButtons(header, sortConfig);
+      tr.lastChild.className = change > 0 ? 'gain' : 'loss';
+      tbody.appendChild(tr);
     }
 
+    table.appendChild(tbody);
+    section.appendChild(table);
+    panel.appendChild(section);
+  }
+
+  if (diff.moved.length > 0) {
+    const section = document.createElement('section');
+    section.className = 'diff-section';
+
+    const header = document.createElement('h2');
+    header.textContent = 'Moved keys';
     section.appendChild(header);
 
-    // Add search input for keys
-    if (displayType === 'Keys') {
-      const searchInput = createKeySearchInput(keySearchQuery, (event) => {
-        // Search handler will be connected in app.js
-        const searchEvent = new CustomEvent('keySearch', {
-          detail: { query: event.target.value }
-        });
-        document.dispatchEvent(searchEvent);
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    table.innerHTML = '<thead><tr><th>Portal</th><th>From</th><th>To</th></tr></thead>';
+
+    const tbody = document.createElement('tbody');
+    for (const move of diff.moved) {
+      const tr = document.createElement('tr');
+      [
+        DATA.describeGroup(move.gmeta),
+        DATA.describeStorage(move.from, containers),
+        DATA.describeStorage(move.to, containers)
+      ].forEach(text => {
+        const td = document.createElement('td');
+        td.textContent = text;
+        tr.appendChild(td);
       });
-      section.appendChild(searchInput);
-
-      // Focus and restore selection if needed
-      if (options.keySearchShouldRefocus) {
-        setTimeout(() => {
-          const keySearch = document.getElementById('keySearch');
-          if (keySearch) {
-            keySearch.focus();
-            if (options.keySearchSelection?.length === 2) {
-              try {
-                keySearch.setSelectionRange(
-                  options.keySearchSelection[0],
-                  options.keySearchSelection[1]
-                );
-              } catch (error) {
-                // Selection restore failed - continue without it
-              }
-            }
-          }
-        }, 0);
-      }
+      tbody.appendChild(tr);
     }
 
-    // Render cards
-    let cardsAdded = 0;
-    for (const [groupKey, groupValue] of displayedEntries) {
-      // Apply key search filter
-      if (displayType === 'Keys' && keySearchQuery) {
-        // Create temporary card to check text content
-        const tempCard = createItemCard({
-          groupKey,
-          groupValue,
-          hideCapsuled: filters.hideCapsuled,
-          displayType,
-          userLocation
-        });
+    table.appendChild(tbody);
+    section.appendChild(table);
+    panel.appendChild(section);
+  }
+
+  if (diff.changes.size === 0 && diff.moved.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'view-hint';
+    empty.textContent = 'No differences between these exports.';
+    panel.appendChild(empty);
+  }
+}
+
+/**
+ * Renders the key map view with its controls and selection panel
+ * @param {Array} points - Key points from MAP.collectKeyPoints
+ * @param {Object} options - {view, tileUrl, hideCapsuled, userLocation}
+ */
+function renderMapView(points, options = {}) {
+  const { MAP_CONFIG } = CONSTANTS;
+  const { tileUrl = '', hideCapsuled = false, userLocation = null } = options;
+
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+
+  const dispatchView = (view) => {
+    document.dispatchEvent(new CustomEvent('mapViewChange', { detail: { view } }));
+  };
+
+  const width = Math.max(320, panel.clientWidth || 800);
+  const height = MAP_CONFIG.HEIGHT;
+  const view = options.view || MAP.fitView(points, width, height);
+
+  // Controls
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+
+  const zoomBy = (delta) => {
+    const zoom = Math.max(MAP_CONFIG.MIN_ZOOM, Math.min(MAP_CONFIG.MAX_ZOOM, view.zoom + delta));
+    dispatchView({ ...view, zoom });
+  };
+
+  controls.appendChild(createSortButton(() => '+', '+', false, () => zoomBy(1)));
+  controls.appendChild(createSortButton(() => '−', '−', false, () => zoomBy(-1)));
+  controls.appendChild(createSortButton(() => 'Fit', 'Fit', false, () => dispatchView(null)));
+
+  const tileLabel = document.createElement('label');
+  tileLabel.textContent = 'Tile URL';
+  const tileInput = document.createElement('input');
+  tileInput.type = 'text';
+  tileInput.className = 'map-tile-url';
+  tileInput.placeholder = 'Optional, e.g. https://tile.openstreetmap.org/{z}/{x}/{y}.png';
+  tileInput.value = tileUrl;
+  tileInput.title = 'Leave empty to keep the map offline. Tiles are requested from this server when set.';
+  tileInput.addEventListener('change', () => {
+    document.dispatchEvent(new CustomEvent('mapTileUrlChange', {
+      detail: { tileUrl: tileInput.value.trim() }
+    }));
+  });
+  tileLabel.appendChild(tileInput);
+  controls.appendChild(tileLabel);
+
+  panel.appendChild(controls);
+
+  if (points.length === 0) {
+    const hint = document.createElement('p');
+    hint.className = 'view-hint';
+    hint.textContent = 'No keys with portal locations match the current filters.';
+    panel.appendChild(hint);
+    return;
+  }
+
+  const keyCount = points.reduce((sum, point) => sum + point.count, 0);
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  hint.textContent = `${points.length} portals, ${keyCount} keys · drag to pan, scroll to zoom, click a marker for details`;
+  panel.appendChild(hint);
+
+  const selection = document.createElement('div');
+  selection.className = 'map-selection';
+
+  const showCluster = (cluster) => {
+    selection.innerHTML = '';
+
+    const selected = [...cluster.points].sort((a, b) => b.count - a.count);
+    for (const point of selected.slice(0, MAP_CONFIG.MAX_SELECTED_CARDS)) {
+      selection.appendChild(createItemCard({
+        groupKey: point.groupKey,
+        groupValue: point.groupValue,
+        hideCapsuled,
+        displayType: 'Keys',
+        userLocation
+      }));
+    }
+
+    if (selected.length > MAP_CONFIG.MAX_SELECTED_CARDS) {
+      const more = document.createElement('p');
+      more.className = 'view-hint';
+      more.textContent = `…and ${selected.length - MAP_CONFIG.MAX_SELECTED_CARDS} more portals. Zoom in to narrow down.`;
+      selection.appendChild(more);
+    }
+  };
+
+  const frame = document.createElement('div');
+  frame.className = 'map-frame';
+  frame.appendChild(MAP.renderKeyMap(points, {
+    view,
+    width,
+    height,
+    tileUrl,
+    onViewChange: dispatchView,
+    onSelect: showCluster
+  }));
+
+  panel.appendChild(frame);
+  panel.appendChild(selection);
+}
+
+/**
+ * Creates a titled dashboard panel
+ * @param {string} title - Panel heading
+ * @param {Node} content - Chart or message
+ * @param {string} className - Extra class, e.g. 'wide'
+ * @returns {HTMLElement} Panel element
+ */
+function createDashboardPanel(title, content, className = '') {
+  const panel = document.createElement('section');
+  panel.className = `dashboard-panel ${className}`.trim();
+
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  panel.appendChild(heading);
+  panel.appendChild(content);
+
+  return panel;
+}
+
+/**
+ * Creates the "nothing to show" text for an empty dashboard panel
+ * @param {string} text - Message
+ * @returns {HTMLElement} Paragraph element
+ */
+function createEmptyPanelHint(text) {
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  hint.textContent = text;
+  return hint;
+}
+
+/**
+ * Renders the dashboard: inventory space plus breakdowns of the filtered items
+ * @param {Object} summary - Result of DATA.summarizeInventory for the filtered items
+ * @param {Object} options - {spaceUsed, capacity} for the whole inventory, {warningPercent} from the warning levels
+ */
+function renderDashboard(summary, options = {}) {
+  const { CHART_CONFIG, DASHBOARD_CONFIG, RARITY } = CONSTANTS;
+  const {
+    spaceUsed = summary.spaceUsed,
+    capacity = CONSTANTS.INVENTORY_CONFIG.CAPACITY,
+    warningPercent = CONSTANTS.WARNING_CONFIG.INVENTORY_PERCENT
+  } = options;
+
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+
+  const fullWidth = Math.max(320, (panel.clientWidth || 800) - 32);
+  const chartWidth = DASHBOARD_CONFIG.CHART_WIDTH;
 
-        const matches = tempCard.textContent.toLowerCase().includes(keySearchQuery.toLowerCase());
-        if (!matches) continue;
+  // Inventory space always covers the whole inventory, whatever the filters;
+  // amber past the warning level, red when full
+  let meterColor = CHART_CONFIG.BAR_COLOR;
+  if (spaceUsed >= capacity) {
+    meterColor = '#ef4444';
+  } else if (spaceUsed > Math.floor(capacity * warningPercent / 100)) {
+    meterColor = '#f59e0b';
+  }
+
+  const space = document.createElement('div');
+  space.appendChild(CHARTS.renderMeter(spaceUsed, capacity, { width: fullWidth, color: meterColor }));
+  const spaceHint = createEmptyPanelHint(
+    `${Math.max(0, capacity - spaceUsed)} slots free · keys in key lockers don't count`);
+  space.appendChild(spaceHint);
+
+  const grid = document.createElement('div');
+  grid.className = 'dashboard-grid';
+  grid.appendChild(createDashboardPanel('Inventory space', space, 'wide'));
+
+  const hint = createEmptyPanelHint(
+    `${summary.itemCount} items match the current filters; the panels below count only those`);
+  grid.appendChild(hint);
+
+  if (summary.itemCount === 0) {
+    panel.appendChild(grid);
+    return;
+  }
+
+  // By category
+  grid.appendChild(createDashboardPanel('By category', CHARTS.renderBarChart(
+    [...summary.byType].map(([displayType, count]) => ({ label: displayType, value: count })),
+    { width: chartWidth }
+  )));
+
+  // By rarity
+  const rarityRows = [...summary.byRarity].map(([rarity, count]) => ({
+    label: RARITY.LABELS[rarity] || UTILS.formatResourceType(rarity),
+    value: count,
+    color: CHART_CONFIG.RARITY_COLORS[rarity]
+  }));
+  grid.appendChild(createDashboardPanel('By rarity', rarityRows.length > 0 ?
+    CHARTS.renderBarChart(rarityRows, { width: chartWidth }) :
+    createEmptyPanelHint('No items with a rarity.')));
+
+  // Where items are stored
+  grid.appendChild(createDashboardPanel('Storage', CHARTS.renderBarChart([
+    { label: 'Loose', value: summary.storage.loose },
+    { label: 'Capsules', value: summary.storage.capsules },
+    { label: 'Key lockers', value: summary.storage.keyLockers }
+  ], { width: chartWidth })));
+
+  // By level
+  grid.appendChild(createDashboardPanel('By level', summary.levels.rows.length > 0 ?
+    CHARTS.renderLevelChart(summary.levels, { width: chartWidth }) :
+    createEmptyPanelHint('No resonators, weapons or cubes.')));
+
+  // Top key portals
+  grid.appendChild(createDashboardPanel('Most keys', summary.topKeys.length > 0 ?
+    CHARTS.renderBarChart(summary.topKeys.map(key => ({
+      label: key.title,
+      value: key.count,
+      title: `${key.title}${key.address ? ` (${key.address})` : ''}: ${key.count}`
+    })), { width: chartWidth }) :
+    createEmptyPanelHint('No portal keys.')));
+
+  panel.appendChild(grid);
+}
+
+/**
+ * Dispatches a recycle planner action
+ * @param {Object} detail - {action: 'setTarget'|'clearTargets'|'export', id?, keep?}
+ */
+function dispatchRecyclePlanAction(detail) {
+  document.dispatchEvent(new CustomEvent('recyclePlanAction', { detail }));
+}
+
+/**
+ * Renders the recycle planner: a target per group and what recycling down to it gains
+ * @param {Object} plan - Result of DATA.planRecycling
+ */
+function renderRecyclePlanner(plan) {
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+
+  const { totals } = plan;
+
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+
+  const totalsEl = document.createElement('span');
+  totalsEl.className = 'recycle-totals';
+  totalsEl.textContent = `Recycle ${totals.recycle} items · frees ${totals.slotsFreed} slots · ` +
+    `about ${totals.xm.toLocaleString()} XM`;
+  controls.appendChild(totalsEl);
+
+  controls.appendChild(createSortButton(() => 'Download checklist', 'Download checklist', false,
+    () => dispatchRecyclePlanAction({ action: 'export' })));
+  controls.appendChild(createSortButton(() => 'Clear targets', 'Clear targets', false,
+    () => dispatchRecyclePlanAction({ action: 'clearTargets' })));
+  panel.appendChild(controls);
+
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  hint.textContent = plan.rows.length > 0 ?
+    'Set how many of each item to keep; leave it empty to keep them all. Loose items are picked before capsuled ones. XM values are estimates.' :
+    'No items match the current filters.';
+  panel.appendChild(hint);
+
+  if (plan.rows.length === 0) return;
+
+  const table = document.createElement('table');
+  table.className = 'data-table recycle-table';
+  table.innerHTML = '<thead><tr><th>Type</th><th>Item</th><th>Held</th><th>Keep</th>' +
+    '<th>Recycle</th><th>Slots freed</th><th>XM</th></tr></thead>';
+
+  const tbody = document.createElement('tbody');
+  for (const row of plan.rows) {
+    const tr = document.createElement('tr');
+    if (row.recycle > 0) tr.className = 'recycling';
+
+    const addCell = (text) => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+      return td;
+    };
+
+    addCell(row.displayType);
+    addCell(row.label);
+    addCell(String(row.held));
+
+    const keepInput = document.createElement('input');
+    keepInput.type = 'number';
+    keepInput.min = 0;
+    keepInput.placeholder = 'All';
+    keepInput.value = row.keep === null ? '' : String(row.keep);
+    keepInput.addEventListener('change', () => {
+      const keep = keepInput.value === '' ? null : Math.max(0, Math.floor(Number(keepInput.value)));
+      dispatchRecyclePlanAction({ action: 'setTarget', id: row.id, keep: isNaN(keep) ? null : keep });
+    });
+    addCell('').appendChild(keepInput);
+
+    addCell(row.recycle > 0 ? String(row.recycle) : '');
+    addCell(row.slotsFreed > 0 ? String(row.slotsFreed) : '');
+    addCell(row.xm > 0 ? row.xm.toLocaleString() : '');
+
+    tbody.appendChild(tr);
+  }
+
+  table.appendChild(tbody);
+  panel.appendChild(table);
+}
+
+/**
+ * Dispatches a loadout template action
+ * @param {Object} detail - {action, ...}; see handleLoadoutAction in app.js
+ */
+function dispatchLoadoutAction(detail) {
+  document.dispatchEvent(new CustomEvent('loadoutAction', { detail }));
+}
+
+/**
+ * Formats a storage breakdown, e.g. "Inventory ×5, Capsule CAPS0002 ×3"
+ * @param {Map} storage - Storage label -> count
+ * @returns {string} Breakdown text
+ */
+function formatStorage(storage) {
+  return Array.from(storage.entries())
+    .map(([label, count]) => `${label} ×${count}`)
+    .join(', ');
+}
+
+/**
+ * Renders the loadout view: template picker, editable lines and the shortfall report
+ * @param {Object} options - {templates, activeIndex, report: result of DATA.compareLoadout or null, persistent}
+ */
+function renderLoadoutView(options = {}) {
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  const { templates = [], activeIndex = 0, report = null, persistent = false } = options;
+  const template = templates[activeIndex] || null;
+
+  panel.innerHTML = '';
+
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+
+  if (template) {
+    const pickerLabel = document.createElement('label');
+    pickerLabel.textContent = 'Template';
+    const picker = document.createElement('select');
+    templates.forEach((t, i) => {
+      const option = document.createElement('option');
+      option.value = i;
+      option.textContent = t.name;
+      picker.appendChild(option);
+    });
+    picker.value = String(activeIndex);
+    picker.addEventListener('change', () => {
+      dispatchLoadoutAction({ action: 'select', index: Number(picker.value) });
+    });
+    pickerLabel.appendChild(picker);
+    controls.appendChild(pickerLabel);
+
+    const nameLabel = document.createElement('label');
+    nameLabel.textContent = 'Name';
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.value = template.name;
+    nameInput.addEventListener('change', () => {
+      const name = nameInput.value.trim();
+      if (name) dispatchLoadoutAction({ action: 'rename', name });
+    });
+    nameLabel.appendChild(nameInput);
+    controls.appendChild(nameLabel);
+  }
+
+  controls.appendChild(createSortButton(() => 'New', 'New', false,
+    () => dispatchLoadoutAction({ action: 'create' })));
+
+  // Import goes through a hidden file input, like the upload screen
+  const fileInput = document.createElement('input');
+  fileInput.type = 'file';
+  fileInput.accept = '.json,application/json';
+  fileInput.hidden = true;
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0]) dispatchLoadoutAction({ action: 'import', file: fileInput.files[0] });
+  });
+  controls.appendChild(fileInput);
+  controls.appendChild(createSortButton(() => 'Import', 'Import', false, () => fileInput.click()));
+
+  if (template) {
+    controls.appendChild(createSortButton(() => 'Export', 'Export', false,
+      () => dispatchLoadoutAction({ action: 'export' })));
+    controls.appendChild(createSortButton(() => 'Delete', 'Delete', false,
+      () => dispatchLoadoutAction({ action: 'delete' })));
+  }
+  panel.appendChild(controls);
+
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  if (!template) {
+    hint.textContent = 'No loadout templates yet. Start a new one or import a file from your team lead.';
+  } else {
+    hint.textContent = 'Each line is a search query (e.g. type:emp_burster level:8) and how many you need. ' +
+      'An item counts towards the first line it matches, and loose items are used before capsuled ones.' +
+      (persistent ? '' : ' Templates are kept for this visit only unless "Remember loaded files" is on.');
+  }
+  panel.appendChild(hint);
+
+  if (options.error) {
+    const error = document.createElement('p');
+    error.className = 'view-hint view-error';
+    error.textContent = options.error;
+    panel.appendChild(error);
+  }
+
+  if (!template) return;
+
+  if (report) {
+    const totals = document.createElement('p');
+    totals.className = 'loadout-totals';
+    totals.textContent = report.totals.shortfall > 0 ?
+      `Short ${report.totals.shortfall} of ${report.totals.quantity} items` :
+      `All ${report.totals.quantity} items covered`;
+    panel.appendChild(totals);
+  }
+
+  const table = document.createElement('table');
+  table.className = 'data-table loadout-table';
+  table.innerHTML = '<thead><tr><th>Item</th><th>Query</th><th>Need</th><th>Have</th>' +
+    '<th>Short</th><th>Surplus</th><th>Where</th><th></th></tr></thead>';
+
+  const tbody = document.createElement('tbody');
+  template.lines.forEach((line, index) => {
+    const result = report ? report.lines[index] : null;
+    const tr = document.createElement('tr');
+
+    const addCell = (content, className = '') => {
+      const td = document.createElement('td');
+      if (className) td.className = className;
+      if (typeof content === 'string') {
+        td.textContent = content;
+      } else {
+        td.appendChild(content);
       }
+      tr.appendChild(td);
+      return td;
+    };
+
+    const createLineInput = (field, type, placeholder) => {
+      const input = document.createElement('input');
+      input.type = type;
+      input.placeholder = placeholder;
+      input.value = String(line[field]);
+      if (type === 'number') input.min = 0;
+      input.addEventListener('change', () => {
+        const value = type === 'number' ? Math.max(0, Math.floor(Number(input.value) || 0)) : input.value.trim();
+        dispatchLoadoutAction({ action: 'updateLine', index, field, value });
+      });
+      return input;
+    };
+
+    addCell(createLineInput('label', 'text', 'Label'));
+    const queryCell = addCell(createLineInput('query', 'text', 'e.g. type:ultra_strike'));
+    addCell(createLineInput('quantity', 'number', '0'));
+
+    if (result?.error) {
+      queryCell.title = result.error;
+      queryCell.classList.add('loss');
+      addCell('');
+      addCell(result.error, 'loss').colSpan = 3;
+    } else if (result) {
+      addCell(String(result.held));
+      addCell(result.shortfall > 0 ? String(result.shortfall) : '', 'loss');
+      addCell(result.surplus > 0 ? String(result.surplus) : '', 'gain');
+      addCell(formatStorage(result.storage));
+    } else {
+      for (let i = 0; i < 4; i++) addCell('');
+    }
+
+    const removeButton = createSortButton(() => 'Remove', 'Remove', false,
+      () => dispatchLoadoutAction({ action: 'removeLine', index }));
+    addCell(removeButton);
+
+    tbody.appendChild(tr);
+  });
+
+  table.appendChild(tbody);
+  panel.appendChild(table);
+
+  const addButton = createSortButton(() => 'Add line', 'Add line', false,
+    () => dispatchLoadoutAction({ action: 'addLine' }));
+  addButton.classList.add('loadout-add');
+  panel.appendChild(addButton);
+}
+
+/**
+ * Dispatches a team view action
+ * @param {Object} detail - {action: 'tag'|'findPortal', snapshotId?, agent?, text?}
+ */
+function dispatchTeamAction(detail) {
+  document.dispatchEvent(new CustomEvent('teamAction', { detail }));
+}
+
+/**
+ * Creates a table of counts with a column per agent
+ * @param {Array} rows - Rows [{label, total, byAgent: Map<agent, count>}]
+ * @param {Array} agents - Agent names, in column order
+ * @param {string} itemHeading - Heading of the first column
+ * @returns {HTMLElement} Table element
+ */
+function createTeamTable(rows, agents, itemHeading = 'Item') {
+  const table = document.createElement('table');
+  table.className = 'data-table team-table';
+
+  const headRow = document.createElement('tr');
+  for (const heading of [itemHeading, 'Total', ...agents]) {
+    const th = document.createElement('th');
+    th.textContent = heading;
+    headRow.appendChild(th);
+  }
+  const thead = document.createElement('thead');
+  thead.appendChild(headRow);
+  table.appendChild(thead);
+
+  const tbody = document.createElement('tbody');
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    const cells = [row.label, String(row.total), ...agents.map(agent => String(row.byAgent.get(agent) || ''))];
+
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    tbody.appendChild(tr);
+  }
+
+  table.appendChild(tbody);
+  return table;
+}
+
+/**
+ * Renders the team view: agent tags for the loaded exports, key holders for a portal
+ * and the combined counts per section
+ * @param {Object} team - Result of DATA.aggregateTeam
+ * @param {Object} options - {snapshots, sections: from DATA.selectVisibleSections, portalQuery, holders}
+ */
+function renderTeamView(team, options = {}) {
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  const { snapshots = [], sections = [], portalQuery = '', holders = [] } = options;
+  const { agents } = team;
+
+  panel.innerHTML = '';
+
+  // Agent tags, one per loaded export
+  const tagList = document.createElement('div');
+  tagList.className = 'view-controls team-agents';
+  for (const snapshot of snapshots) {
+    const label = document.createElement('label');
+    label.textContent = snapshot.label;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.placeholder = 'Agent name';
+    input.value = snapshot.agent;
+    input.addEventListener('change', () => {
+      dispatchTeamAction({ action: 'tag', snapshotId: snapshot.id, agent: input.value.trim() });
+    });
+
+    label.appendChild(input);
+    tagList.appendChild(label);
+  }
+  panel.appendChild(tagList);
+
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  hint.textContent = agents.length === 0 ?
+    'Name the agent for each loaded export to combine them. Select or drop several files at once to load a whole team.' :
+    `Combining ${agents.length} agent${agents.length === 1 ? '' : 's'}: ${agents.join(', ')}. ` +
+    'Only the newest export of each agent counts; exports without a name are left out.';
+  panel.appendChild(hint);
+
+  if (agents.length === 0) return;
+
+  // Who holds keys for a portal
+  const lookup = document.createElement('div');
+  lookup.className = 'view-controls';
+  const lookupLabel = document.createElement('label');
+  lookupLabel.textContent = 'Who holds keys for';
+  const lookupInput = document.createElement('input');
+  lookupInput.type = 'search';
+  lookupInput.placeholder = 'Portal name or address';
+  lookupInput.value = portalQuery;
+  lookupInput.addEventListener('change', () => {
+    dispatchTeamAction({ action: 'findPortal', text: lookupInput.value });
+  });
+  lookupLabel.appendChild(lookupInput);
+  lookup.appendChild(lookupLabel);
+  panel.appendChild(lookup);
+
+  if (portalQuery.trim()) {
+    if (holders.length === 0) {
+      const none = document.createElement('p');
+      none.className = 'view-hint';
+      none.textContent = `Nobody on the team holds keys for "${portalQuery.trim()}".`;
+      panel.appendChild(none);
+    } else {
+      const rows = holders.map(holder => ({
+        label: DATA.describeGroup(holder.gmeta),
+        total: holder.total,
+        byAgent: holder.byAgent
+      }));
+      panel.appendChild(createTeamTable(rows, agents, 'Portal'));
+    }
+  }
+
+  // Combined counts
+  const { MAX_KEY_ROWS } = CONSTANTS.TEAM_CONFIG;
+  for (const { displayType, entries, totalCount } of sections) {
+    const section = document.createElement('section');
+    section.className = 'diff-section team-section';
+
+    const header = document.createElement('h2');
+    header.textContent = `${displayType} (${totalCount})`;
+    section.appendChild(header);
+
+    const shown = displayType === 'Keys' ? entries.slice(0, MAX_KEY_ROWS) : entries;
+    const rows = shown.map(([, group]) => ({
+      label: DATA.describeGroup(group.gmeta),
+      total: group.items.length,
+      byAgent: group.byAgent
+    }));
+    section.appendChild(createTeamTable(rows, agents));
+
+    if (shown.length < entries.length) {
+      const more = document.createElement('p');
+      more.className = 'view-hint';
+      more.textContent = `Showing ${shown.length} of ${entries.length} portals in the current key order. ` +
+        'Use the portal search above for the rest.';
+      section.appendChild(more);
+    }
+
+    panel.appendChild(section);
+  }
+}
+
+/**
+ * Renders the key coverage report for a pasted list of target portals
+ * @param {Object|null} report - Result of DATA.checkKeyCoverage, null until a list is checked
+ * @param {Object} options - {text: pasted list, error, skipped: lines without coordinates}
+ */
+function renderCoverageView(report, options = {}) {
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  const { text = '', error = '', skipped = 0 } = options;
+
+  panel.innerHTML = '';
+
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  hint.textContent = 'Paste the portals you plan to link: IITC draw-tools or bookmarks JSON, ' +
+    'or one "lat,lon name" or intel portal link per line.';
+  panel.appendChild(hint);
+
+  const input = document.createElement('textarea');
+  input.className = 'coverage-input';
+  input.rows = 6;
+  input.spellcheck = false;
+  input.value = text;
+  panel.appendChild(input);
+
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+  controls.appendChild(createSortButton(() => 'Check keys', 'Check keys', false, () => {
+    document.dispatchEvent(new CustomEvent('coverageTargetsChange', {
+      detail: { text: input.value }
+    }));
+  }));
+  panel.appendChild(controls);
+
+  if (error) {
+    const errorEl = document.createElement('p');
+    errorEl.className = 'view-hint view-error';
+    errorEl.textContent = error;
+    panel.appendChild(errorEl);
+  }
 
-      const card = createItemCard({
+  if (!report) return;
+
+  const { totals } = report;
+  const summary = document.createElement('p');
+  summary.className = 'loadout-totals';
+  summary.textContent = `Keys for ${totals.covered} of ${totals.targets} portals ` +
+    `(${totals.keys} key${totals.keys === 1 ? '' : 's'})` +
+    (totals.missing > 0 ? ` · ${totals.missing} missing` : '') +
+    (skipped > 0 ? ` · ${skipped} line${skipped === 1 ? '' : 's'} without coordinates ignored` : '');
+  panel.appendChild(summary);
+
+  const table = document.createElement('table');
+  table.className = 'data-table';
+  table.innerHTML = '<thead><tr><th>Portal</th><th>Location</th><th>Keys</th><th>Stored in</th></tr></thead>';
+
+  const tbody = document.createElement('tbody');
+  for (const row of report.rows) {
+    const tr = document.createElement('tr');
+    const { target } = row;
+    const cells = [
+      row.gmeta ? DATA.describeGroup(row.gmeta) : (target.name || 'Unknown portal'),
+      `${target.lat.toFixed(6)}, ${target.lon.toFixed(6)}`,
+      row.count > 0 ? String(row.count) : 'Missing',
+      formatStorage(row.storage)
+    ];
+
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    if (row.count === 0) tr.cells[2].className = 'loss';
+    tbody.appendChild(tr);
+  }
+
+  table.appendChild(tbody);
+  panel.appendChild(table);
+}
+
+/**
+ * Renders the level distribution chart for resonators, weapons and cubes
+ * @param {Object} summary - Result of DATA.summarizeLevels
+ * @param {Object} options - {hideCapsuled}
+ */
+function renderLevelsView(summary, options = {}) {
+  const { hideCapsuled = false } = options;
+
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  panel.appendChild(hint);
+
+  if (summary.rows.length === 0) {
+    hint.textContent = 'No resonators, weapons or cubes match the current filters.';
+    return;
+  }
+
+  // Deploy/attack readiness hinges on the top two levels
+  const total = summary.rows.reduce((sum, row) => sum + row.total, 0);
+  const highLevel = summary.rows.reduce((sum, row) =>
+    sum + (row.counts.get(7) || 0) + (row.counts.get(8) || 0), 0);
+  hint.textContent = `${total} items, ${highLevel} of them L7 or L8 (${Math.round(highLevel / total * 100)}%)` +
+    (hideCapsuled ? ' · items in capsules not counted' : '');
+
+  const frame = document.createElement('div');
+  frame.className = 'chart-frame';
+  frame.appendChild(CHARTS.renderLevelChart(summary, {
+    width: Math.max(320, panel.clientWidth || 800)
+  }));
+  panel.appendChild(frame);
+}
+
+/**
+ * Formats a date without the time, e.g. "Nov 14, 2023"
+ * @param {number} ms - Timestamp in milliseconds
+ * @returns {string} Date, or an empty string if missing
+ */
+function formatDate(ms) {
+  return ms ? new Date(ms).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' }) : '';
+}
+
+/**
+ * Labels a timeline bin for the axis and its tooltip
+ * @param {Object} bin - {start, count} from DATA.summarizeKeyTimeline
+ * @param {string} binSize - 'day' | 'week' | 'month'
+ * @returns {Object} {label, title}
+ */
+function describeTimelineBin(bin, binSize) {
+  const date = new Date(bin.start);
+  const keys = `${bin.count} key${bin.count === 1 ? '' : 's'}`;
+
+  if (binSize === 'month') {
+    const month = date.toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+    return { label: month, title: `${month}: ${keys}` };
+  }
+
+  const label = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+  return {
+    label,
+    title: `${binSize === 'week' ? 'Week of ' : ''}${formatDate(bin.start)}: ${keys}`
+  };
+}
+
+/**
+ * Dispatches a timeline settings change for the app to handle
+ * @param {Object} detail - {bin} or {staleDays}
+ */
+function dispatchTimelineSettings(detail) {
+  document.dispatchEvent(new CustomEvent('timelineSettingsChange', { detail }));
+}
+
+/**
+ * Renders the key timeline: keys acquired per day/week/month, and each portal's first and last copy
+ * @param {Object} timeline - Result of DATA.summarizeKeyTimeline
+ * @param {Object} options - {bin: 'day'|'week'|'month', staleDays: number|null, now}
+ */
+function renderTimelineView(timeline, options = {}) {
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  const { BINS, MAX_PORTAL_ROWS } = CONSTANTS.TIMELINE_CONFIG;
+  const { bin = CONSTANTS.TIMELINE_CONFIG.DEFAULT_BIN, staleDays = null, now = Date.now() } = options;
+  const { bins, clippedBins, portals, totals } = timeline;
+
+  panel.innerHTML = '';
+
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+
+  for (const binSize of BINS) {
+    const label = `Per ${binSize}`;
+    controls.appendChild(createSortButton(() => label, label, binSize === bin,
+      () => dispatchTimelineSettings({ bin: binSize })));
+  }
+
+  // Stale keys: portals whose newest copy is older than this
+  const staleLabel = document.createElement('label');
+  staleLabel.className = 'timeline-stale';
+  staleLabel.append('Not refreshed in ');
+  const staleInput = document.createElement('input');
+  staleInput.type = 'number';
+  staleInput.min = '1';
+  staleInput.placeholder = 'Any';
+  staleInput.value = staleDays ? String(staleDays) : '';
+  staleInput.addEventListener('change', () => {
+    const days = Math.floor(Number(staleInput.value));
+    dispatchTimelineSettings({ staleDays: days > 0 ? days : null });
+  });
+  staleLabel.append(staleInput, ' days');
+  controls.appendChild(staleLabel);
+  panel.appendChild(controls);
+
+  const hint = document.createElement('p');
+  hint.className = 'view-hint';
+  panel.appendChild(hint);
+
+  if (totals.keys === 0) {
+    hint.textContent = 'No keys match the current filters.';
+    return;
+  }
+
+  hint.textContent = `${totals.keys} keys for ${totals.portals} portals` +
+    (totals.undated > 0 ? ` · ${totals.undated} without a valid acquisition time` : '') +
+    (clippedBins > 0 ? ` · showing the newest ${bins.length} ${bin}s` : '');
+
+  if (bins.length > 0) {
+    const frame = document.createElement('div');
+    frame.className = 'chart-frame';
+    frame.appendChild(CHARTS.renderHistogram(bins.map(entry => ({
+      ...describeTimelineBin(entry, bin),
+      value: entry.count
+    })), {
+      width: Math.max(320, (panel.clientWidth || 800) - 24),
+      label: `Keys acquired per ${bin}`
+    }));
+    panel.appendChild(frame);
+  }
+
+  const listed = staleDays ? portals.filter(portal => portal.stale) : portals;
+
+  const summary = document.createElement('p');
+  summary.className = 'loadout-totals';
+  summary.textContent = staleDays ?
+    `${totals.stalePortals} of ${totals.portals} portals (${totals.staleKeys} keys) not refreshed in ${staleDays} days` :
+    'Portals by their newest key, oldest first';
+  panel.appendChild(summary);
+
+  if (listed.length === 0) return;
+
+  const table = document.createElement('table');
+  table.className = 'data-table';
+  table.innerHTML = '<thead><tr><th>Portal</th><th>Keys</th><th>First acquired</th><th>Last acquired</th><th>Days since</th></tr></thead>';
+
+  const tbody = document.createElement('tbody');
+  for (const portal of listed.slice(0, MAX_PORTAL_ROWS)) {
+    const tr = document.createElement('tr');
+    const cells = [
+      DATA.describeGroup(portal.gmeta),
+      String(portal.count),
+      formatDate(portal.first),
+      formatDate(portal.last),
+      portal.last ? String(Math.floor((now - portal.last) / 86400000)) : ''
+    ];
+
+    cells.forEach(text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+
+    if (portal.stale) tr.cells[3].className = 'loss';
+    tbody.appendChild(tr);
+  }
+  table.appendChild(tbody);
+  panel.appendChild(table);
+
+  if (listed.length > MAX_PORTAL_ROWS) {
+    const more = document.createElement('p');
+    more.className = 'view-hint';
+    more.textContent = `Showing the ${MAX_PORTAL_ROWS} oldest of ${listed.length} portals. Narrow them down with the search box.`;
+    panel.appendChild(more);
+  }
+}
+
+/**
+ * Creates a summary card for a container with its fill level
+ * @param {Object} container - Container from DATA.collectContainers
+ * @returns {HTMLElement} Card element
+ */
+function createContainerCard(container) {
+  const card = document.createElement('article');
+  card.className = 'card container-card';
+
+  card.appendChild(createThumbnail(container.meta, container.id));
+
+  const metaDiv = document.createElement('div');
+  metaDiv.className = 'meta';
+
+  const titleEl = document.createElement('h3');
+  titleEl.textContent = container.name;
+  metaDiv.appendChild(titleEl);
+
+  const small = document.createElement('div');
+  small.className = 'small';
+  const rarity = CONSTANTS.RARITY.LABELS[container.rarity];
+  small.textContent = [UTILS.formatResourceType(container.type), rarity].filter(Boolean).join(' · ');
+  metaDiv.appendChild(small);
+
+  const used = container.contents.length;
+  const percent = Math.min(100, Math.round(used / container.capacity * 100));
+
+  const bar = document.createElement('div');
+  bar.className = 'fill-bar' + (used >= container.capacity ? ' full' : '');
+  const fill = document.createElement('span');
+  fill.style.width = `${percent}%`;
+  bar.appendChild(fill);
+  metaDiv.appendChild(bar);
+
+  const fillText = document.createElement('div');
+  fillText.className = 'small';
+  fillText.textContent = `${used} / ${container.capacity}`;
+  metaDiv.appendChild(fillText);
+
+  card.appendChild(metaDiv);
+  return card;
+}
+
+/**
+ * Renders the containers view: every capsule, or the contents of one
+ * @param {Array} containers - Containers from DATA.collectContainers
+ * @param {Object} options - {selectedId, filters, sortConfig, userLocation,
+ *                           containerIndex: DATA.buildContainerIndex of the whole inventory}
+ */
+function renderContainersView(containers, options = {}) {
+  const { selectedId = null, filters = {}, sortConfig = {}, userLocation = null, containerIndex = null } = options;
+
+  const panel = document.getElementById('viewPanel');
+  if (!panel) return;
+
+  panel.innerHTML = '';
+
+  const selectContainer = (containerId) => {
+    document.dispatchEvent(new CustomEvent('containerSelect', { detail: { containerId } }));
+  };
+
+  const selected = containers.find(container => container.id === selectedId);
+
+  if (!selected) {
+    const stored = containers.reduce((sum, container) => sum + container.contents.length, 0);
+    const hint = document.createElement('p');
+    hint.className = 'view-hint';
+    hint.textContent = containers.length > 0 ?
+                       `${containers.length} containers · ${stored} items stored` :
+                       'No capsules or key lockers in this inventory.';
+    panel.appendChild(hint);
+
+    const list = document.createElement('div');
+    list.className = 'container-list';
+
+    for (const container of containers) {
+      const card = createContainerCard(container);
+      card.addEventListener('click', () => selectContainer(container.id));
+      list.appendChild(card);
+    }
+
+    panel.appendChild(list);
+    return;
+  }
+
+  // Drill-down into a single container
+  const controls = document.createElement('div');
+  controls.className = 'view-controls';
+  controls.appendChild(createSortButton(() => '← All containers', '← All containers', false,
+    () => selectContainer(null)));
+  panel.appendChild(controls);
+
+  const summaryCard = createContainerCard(selected);
+  summaryCard.classList.add('selected');
+  panel.appendChild(summaryCard);
+
+  // The capsule itself isn't among its contents, so capsule: searches need the whole inventory's index
+  const contents = DATA.filterItems(selected.contents, filters, containerIndex);
+  const sections = DATA.selectVisibleSections(DATA.groupItems(contents), {
+    filters: { ...filters, hideCapsuled: false },
+    sortConfig,
+    userLocation
+  });
+
+  if (sections.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'view-hint';
+    empty.textContent = selected.contents.length > 0 ?
+                        'No items in this container match the current filters.' :
+                        'This container is empty.';
+    panel.appendChild(empty);
+    return;
+  }
+
+  const sectionsEl = document.createElement('div');
+  sectionsEl.className = 'container-contents';
+
+  for (const { displayType, entries, totalCount } of sections) {
+    const section = document.createElement('section');
+    section.className = `type-section type-${displayType.toLowerCase()}`;
+    section.appendChild(createSectionHeader(displayType, totalCount));
+
+    for (const [groupKey, groupValue] of entries) {
+      section.appendChild(createItemCard({
         groupKey,
         groupValue,
-        hideCapsuled: filters.hideCapsuled,
+        hideCapsuled: false,
         displayType,
         userLocation
-      });
-
-      section.appendChild(card);
-      cardsAdded++;
+      }));
     }
 
-    if (cardsAdded > 0) {
-      itemsEl.appendChild(section);
-    }
+    sectionsEl.appendChild(section);
   }
+
+  panel.appendChild(sectionsEl);
 }
 
 /**
@@ -709,11 +2822,35 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     showUploadInterface,
     showInventoryInterface,
+    renderSavedSnapshots,
     updateTotalCount,
     updateSummary,
+    showLoadProgress,
+    showLoadError,
+    hideLoadProgress,
+    renderWarnings,
+    renderUnknownTypes,
+    renderItemDrawer,
     populateRarityFilter,
+    setFilterControls,
+    renderTypeFilter,
+    renderLocationMenu,
+    populateSnapshotSelect,
+    renderViewTabs,
+    showView,
     getCurrentFilters,
     renderInventory,
+    renderDiff,
+    renderMapView,
+    renderDashboard,
+    renderLevelsView,
+    renderTimelineView,
+    renderRecyclePlanner,
+    renderLoadoutView,
+    renderTeamView,
+    renderCoverageView,
+    renderContainersView,
+    downloadFile,
     createItemCard
   };
 } else {
@@ -721,11 +2858,35 @@ if (typeof module !== 'undefined' && module.exports) {
   window.UI = {
     showUploadInterface,
     showInventoryInterface,
+    renderSavedSnapshots,
     updateTotalCount,
     updateSummary,
+    showLoadProgress,
+    showLoadError,
+    hideLoadProgress,
+    renderWarnings,
+    renderUnknownTypes,
+    renderItemDrawer,
     populateRarityFilter,
+    setFilterControls,
+    renderTypeFilter,
+    renderLocationMenu,
+    populateSnapshotSelect,
+    renderViewTabs,
+    showView,
     getCurrentFilters,
     renderInventory,
+    renderDiff,
+    renderMapView,
+    renderDashboard,
+    renderLevelsView,
+    renderTimelineView,
+    renderRecyclePlanner,
+    renderLoadoutView,
+    renderTeamView,
+    renderCoverageView,
+    renderContainersView,
+    downloadFile,
     createItemCard
   };
 }
\ No newline at end of file
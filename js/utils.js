@@ -3,33 +3,54 @@
  * Contains helper functions for data transformation, calculations, and formatting
  */
 
+// Node.js environment - load the modules the browser provides as globals
+if (typeof module !== 'undefined' && module.exports) {
+  var CONSTANTS = require('./constants');
+  var REGISTRY = require('./registry');
+}
+
 /**
  * Sanitizes JSON string by removing invalid control characters
  * @param {string} jsonString - Raw JSON string to clean
+ * @param {Function} onProgress - Optional, called with the cleaned fraction (0-1) after each chunk
  * @returns {string} Cleaned JSON string safe for parsing
  */
-function cleanJsonString(jsonString) {
-  const validControlChars = CONSTANTS.JSON_VALIDATION.VALID_CONTROL_CHARS;
-  const minPrintable = CONSTANTS.JSON_VALIDATION.MIN_PRINTABLE_CHAR;
+function cleanJsonString(jsonString, onProgress = null) {
+  const {
+    VALID_CONTROL_CHARS,
+    MIN_PRINTABLE_CHAR,
+    CLEAN_CHUNK_SIZE
+  } = CONSTANTS.JSON_VALIDATION;
+
+  // Match control characters other than valid whitespace
+  let invalidClass = '';
+  for (let charCode = 0; charCode < MIN_PRINTABLE_CHAR; charCode++) {
+    if (!VALID_CONTROL_CHARS.has(charCode)) {
+      invalidClass += `\\u${charCode.toString(16).padStart(4, '0')}`;
+    }
+  }
+  const invalidChars = new RegExp(`[${invalidClass}]`, 'g');
 
-  let cleaned = '';
+  // Clean chunk by chunk and join once, instead of growing one string
+  const chunks = [];
   let removedCount = 0;
 
-  for (let i = 0; i < jsonString.length; i++) {
-    const charCode = jsonString.charCodeAt(i);
-
-    // Keep printable characters and valid whitespace
-    if (charCode >= minPrintable || validControlChars.has(charCode)) {
-      cleaned += jsonString[i];
-    } else {
+  for (let start = 0; start < jsonString.length; start += CLEAN_CHUNK_SIZE) {
+    const chunk = jsonString.slice(start, start + CLEAN_CHUNK_SIZE);
+    chunks.push(chunk.replace(invalidChars, () => {
       removedCount++;
+      return '';
+    }));
+
+    if (onProgress) {
+      onProgress(Math.min(1, (start + CLEAN_CHUNK_SIZE) / jsonString.length));
     }
   }
 
   if (removedCount > 0) {
     console.log(`Cleaned JSON: removed ${removedCount} invalid control characters`);
   }
-  return cleaned;
+  return chunks.join('');
 }
 
 /**
@@ -126,32 +147,24 @@ function abbreviateRarity(rarity) {
 /**
  * Maps resource type to display category
  * @param {string} resourceType - Raw resource type from game data
- * @returns {string} Display category name
+ * @returns {string} Display category name ('Other' for unrecognized types)
  */
 function getDisplayType(resourceType) {
-  const { ITEM_TYPES } = CONSTANTS;
-
-  if (resourceType === 'EMITTER_A') return ITEM_TYPES.DISPLAY_TYPES.RESONATORS;
-  if (resourceType === 'PORTAL_LINK_KEY') return ITEM_TYPES.DISPLAY_TYPES.KEYS;
-  if (resourceType === 'MEDIA') return ITEM_TYPES.DISPLAY_TYPES.MEDIA;
-  if (resourceType === 'PORTAL_POWERUP' || resourceType === 'PLAYER_POWERUP') {
-    return ITEM_TYPES.DISPLAY_TYPES.POWERUPS;
-  }
-
-  if (ITEM_TYPES.CAPSULE_TYPES.includes(resourceType)) {
-    return ITEM_TYPES.DISPLAY_TYPES.CAPSULES;
-  }
-  if (ITEM_TYPES.MOD_TYPES.includes(resourceType)) {
-    return ITEM_TYPES.DISPLAY_TYPES.MODS;
-  }
-  if (ITEM_TYPES.WEAPON_TYPES.includes(resourceType)) {
-    return ITEM_TYPES.DISPLAY_TYPES.WEAPONS;
-  }
-  if (ITEM_TYPES.CUBE_TYPES.includes(resourceType)) {
-    return ITEM_TYPES.DISPLAY_TYPES.CUBES;
-  }
+  return REGISTRY.displayTypeOf(resourceType);
+}
 
-  return resourceType;
+/**
+ * Formats a raw resource type for display
+ * @param {string} resourceType - Raw resource type, e.g. EMP_BURSTER
+ * @returns {string} Readable name, e.g. Emp Burster
+ */
+function formatResourceType(resourceType) {
+  return String(resourceType || '')
+    .toLowerCase()
+    .split('_')
+    .filter(Boolean)
+    .map(word => word[0].toUpperCase() + word.slice(1))
+    .join(' ');
 }
 
 /**
@@ -163,7 +176,7 @@ function isCapsuled(meta) {
   const containerType = meta?._storedIn?.containerType;
   if (!containerType) return false;
 
-  return CONSTANTS.ITEM_TYPES.CAPSULE_TYPES.includes(containerType);
+  return REGISTRY.displayTypeOf(containerType) === CONSTANTS.ITEM_TYPES.DISPLAY_TYPES.CAPSULES;
 }
 
 /**
@@ -196,61 +209,7 @@ function getModDiamondConfig(meta) {
  * @returns {string} Display title
  */
 function displayTitle(id, meta) {
-  // Mod resources - show rarity abbreviation
-  if (meta.modResource) {
-    return abbreviateRarity(meta.modResource.rarity || '');
-  }
-
-  // Portal keys - show portal title
-  if (meta.portalCoupler?.portalTitle) {
-    return meta.portalCoupler.portalTitle;
-  }
-
-  // Story items (media) - show description
-  if (meta.storyItem?.shortDescription) {
-    return meta.storyItem.shortDescription;
-  }
-
-  // Level-based items
-  if (meta.resourceWithLevels?.resourceType) {
-    const type = meta.resourceWithLevels.resourceType;
-    const level = meta.resourceWithLevels.level || '';
-
-    // Simple level display for common items
-    if (['EMITTER_A', 'POWER_CUBE', 'EMP_BURSTER', 'ULTRA_STRIKE'].includes(type)) {
-      return `L${level}`;
-    }
-
-    return `${type} L${level}`;
-  }
-
-  // Resource-based items
-  if (meta.resource?.resourceType) {
-    const type = meta.resource.resourceType;
-
-    // Special cases with custom names
-    if (type === 'FLIP_CARD' && meta.flipCard?.flipCardType) {
-      return meta.flipCard.flipCardType;
-    }
-
-    if (type === 'BOOSTED_POWER_CUBE') {
-      return 'Hyper';
-    }
-
-    // Powerups - show designation/enum for grouping
-    if (type === 'PORTAL_POWERUP' && meta.timedPowerupResource?.designation) {
-      return meta.timedPowerupResource.designation;
-    }
-
-    if (type === 'PLAYER_POWERUP' && meta.playerPowerupResource?.playerPowerupEnum) {
-      return meta.playerPowerupResource.playerPowerupEnum;
-    }
-
-    return type;
-  }
-
-  // Fallback to item ID
-  return id;
+  return REGISTRY.titleOf(id, meta);
 }
 
 /**
@@ -273,6 +232,20 @@ function debounce(func, wait) {
   };
 }
 
+/**
+ * Creates an SVG element (browser only)
+ * @param {string} tag - SVG tag name
+ * @param {Object} attributes - Attributes to set
+ * @returns {SVGElement} Element
+ */
+function createSvgElement(tag, attributes = {}) {
+  const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+  for (const [name, value] of Object.entries(attributes)) {
+    el.setAttribute(name, String(value));
+  }
+  return el;
+}
+
 /**
  * Safely parses JSON with error handling
  * @param {string} jsonString - JSON string to parse
@@ -321,16 +294,18 @@ if (typeof module !== 'undefined' && module.exports) {
     kmToMiles,
     abbreviateRarity,
     getDisplayType,
+    formatResourceType,
     isCapsuled,
     getModDiamondConfig,
     displayTitle,
     debounce,
+    createSvgElement,
     safeJsonParse,
     validateInventoryData
   };
 } else {
-  // Browser environment - attach to window
-  window.UTILS = {
+  // Browser environment - attach to the global scope (window, or the parser worker)
+  self.UTILS = {
     cleanJsonString,
     formatLocalTs,
     decodePortalLocation,
@@ -338,10 +313,12 @@ if (typeof module !== 'undefined' && module.exports) {
     kmToMiles,
     abbreviateRarity,
     getDisplayType,
+    formatResourceType,
     isCapsuled,
     getModDiamondConfig,
     displayTitle,
     debounce,
+    createSvgElement,
     safeJsonParse,
     validateInventoryData
   };